@@ -1,18 +1,33 @@
 import express from "express"
 import cors from "cors"
 import cookieParser from "cookie-parser"
+import { assignRequestId } from "./middlewares/requestId.middleware.js"
+import { errorHandler, notFoundHandler } from "./middlewares/error.middleware.js"
 
 const app = express()
 
+// TRUST_PROXY: how many proxies sit in front ("1"), or which ones ("loopback, 10.0.0.0/8"),
+// so req.ip is the client's address that rate limits and view dedupe key on
+const trustProxy = (value) => {
+    if (!value || value === "false") return false
+    if (value === "true") return true
+    if (/^\d+$/.test(value)) return Number(value)
+    return value.split(",").map((entry) => entry.trim())
+}
+app.set("trust proxy", trustProxy(process.env.TRUST_PROXY))
+
+app.use(assignRequestId)
+
 app.use(cors({
     origin: process.env.CORS_ORIGIN,
-    credentials: true
+    credentials: true,
+    exposedHeaders: ["RateLimit-Policy", "RateLimit-Limit", "RateLimit-Remaining", "RateLimit-Reset", "Retry-After"]
 }))
 
 app.use(express.json({limit: "16kb"}))
 app.use(express.urlencoded({extended:true, limit:"16kb"}))
 app.use(express.static("public"))
-app.use(cookieParser())
+app.use(cookieParser(process.env.COOKIE_SECRET)) // secret signs the anonymous viewer cookies
 
 //routes import
 import userRouter from './routes/user.route.js'
@@ -24,6 +39,11 @@ import likeRouter from "./routes/like.route.js"
 import playlistRouter from "./routes/playlist.route.js"
 import dashboardRouter from "./routes/dashboard.route.js"
 import healthcheckRouter from "./routes/healthcheck.route.js"
+import feedRouter from "./routes/feed.route.js"
+import searchRouter from "./routes/search.route.js"
+import notificationRouter from "./routes/notification.route.js"
+import realtimeRouter from "./routes/realtime.route.js"
+import adminRouter from "./routes/admin.route.js"
 
 
 //route declaration
@@ -36,6 +56,15 @@ app.use("/api/v1/likes", likeRouter)
 app.use("/api/v1/playlist", playlistRouter)
 app.use("/api/v1/dashboard", dashboardRouter)
 app.use("/api/v1/healthcheck", healthcheckRouter)
+app.use("/api/v1/feed", feedRouter)
+app.use("/api/v1/search", searchRouter)
+app.use("/api/v1/notifications", notificationRouter)
+app.use("/api/v1/realtime", realtimeRouter)
+app.use("/api/v1/admin", adminRouter)
+
+//error handling, keep these last
+app.use(notFoundHandler)
+app.use(errorHandler)
 
 // http://localhost:8000/api/v1/users/register
 
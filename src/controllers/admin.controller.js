@@ -0,0 +1,98 @@
+import mongoose from "mongoose"
+import {User} from "../models/user.model.js"
+import {AuditLog} from "../models/auditLog.model.js"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {paginate} from "../utils/paginate.js"
+import {clearLoginFailures, isAccountLocked} from "../utils/loginThrottle.js"
+
+// Lifts a login lockout and the failed attempts leading up to it
+const unlockUserAccount = asyncHandler(async (req, res) => {
+    const { userId } = req.params
+
+    const user = await User.findById(userId).select("username email")
+    if (!user) {
+        throw new ApiError(404, "User not found")
+    }
+
+    const wasLocked = await isAccountLocked(user)
+    await clearLoginFailures(user)
+
+    await AuditLog.create({
+        action: "login.unlock",
+        actor: req.user._id,
+        targetUser: user._id,
+        ip: req.ip,
+        details: { wasLocked }
+    })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { user, wasLocked },
+                wasLocked ? "Account unlocked successfully" : "Account was not locked, failed attempts cleared"
+            )
+        )
+})
+
+const getAuditLogs = asyncHandler(async (req, res) => {
+    const { cursor, page, limit, action, userId } = req.query
+
+    const match = {}
+    if (action) {
+        match.action = action
+    }
+    if (userId) {
+        match.targetUser = new mongoose.Types.ObjectId(userId)
+    }
+
+    // Newest first, with who did it and to whom
+    const auditLogs = await paginate(AuditLog, {
+        match,
+        stages: [
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "actor",
+                    foreignField: "_id",
+                    as: "actor",
+                    pipeline: [
+                        { $project: { username: 1, fullName: 1 } }
+                    ]
+                }
+            },
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "targetUser",
+                    foreignField: "_id",
+                    as: "targetUser",
+                    pipeline: [
+                        { $project: { username: 1, fullName: 1, email: 1 } }
+                    ]
+                }
+            },
+            {
+                $addFields: {
+                    actor: { $first: "$actor" },
+                    targetUser: { $first: "$targetUser" }
+                }
+            }
+        ],
+        cursor,
+        page,
+        limit
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, auditLogs, "Audit logs fetched successfully"))
+})
+
+export {
+    unlockUserAccount,
+    getAuditLogs
+}
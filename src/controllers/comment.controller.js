@@ -1,65 +1,100 @@
 import mongoose from "mongoose"
 import {Video} from "../models/video.model.js"
+import {Tweet} from "../models/tweet.model.js"
+import {Playlist} from "../models/playlist.model.js"
 import {User} from "../models/user.model.js"
 import {Comment} from "../models/comment.model.js"
+import {VideoDailyStats} from "../models/videoDailyStats.model.js"
+import {notify} from "../utils/notifications.js"
+import {publish} from "../utils/realtime.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import {paginate} from "../utils/paginate.js"
 
-const getVideoComments = asyncHandler(async (req, res) => {
-    //:get all comments for a video
-    const {videoId} = req.params
-    const {page = 1, limit = 10} = req.query
-    
-    // Validate videoId
-    if (!mongoose.isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID")
+const REPLY_PREVIEW_COUNT = 2
+
+const ownerLookup = {
+    $lookup: {
+        from: "users",
+        localField: "owner",
+        foreignField: "_id",
+        as: "owner",
+        pipeline: [
+            {
+                $project: {
+                    username: 1,
+                    fullName: 1,
+                    avatar: 1
+                }
+            }
+        ]
+    }
+}
+
+// Tombstones keep their place in a thread but hide what was said and by whom
+const maskDeletedFields = {
+    $addFields: {
+        owner: { $cond: ["$isDeleted", null, { $first: "$owner" }] },
+        content: { $cond: ["$isDeleted", null, "$content"] }
     }
+}
+
+// Everything comments can be attached to, keyed by the route param that identifies it
+const COMMENT_TARGETS = {
+    Video: { model: Video, param: "videoId", label: "Video" },
+    Tweet: { model: Tweet, param: "tweetId", label: "Tweet" },
+    Playlist: { model: Playlist, param: "playlistId", label: "Playlist" }
+}
+
+// Video comments are matched on the legacy `video` field, which new video
+// comments still set, so comments created before targets existed keep showing up
+const targetFilter = (targetType, targetId) => {
+    const id = new mongoose.Types.ObjectId(targetId)
+    return targetType === "Video" ? { video: id } : { targetType, target: id }
+}
+
+const getCommentsFor = (targetType) => asyncHandler(async (req, res) => {
+    //:get all comments for a video, tweet or playlist
+    const { model, param, label } = COMMENT_TARGETS[targetType]
+    const targetId = req.params[param]
+    const {cursor, page, limit} = req.query
     
-    // Check if video exists
-    const video = await Video.findById(videoId)
-    if (!video) {
-        throw new ApiError(404, "Video not found")
+    // Check if the target exists
+    const target = await model.findById(targetId)
+    if (!target) {
+        throw new ApiError(404, `${label} not found`)
     }
     
-    // Aggregation pipeline to get comments with pagination
-    const commentsAggregate = Comment.aggregate([
-        {
-            $match: { video: new mongoose.Types.ObjectId(videoId) }
+    // Top-level comments, oldest first, with a preview of their replies
+    const comments = await paginate(Comment, {
+        match: {
+            ...targetFilter(targetType, targetId),
+            parentComment: null
         },
-        {
-            $lookup: {
-                from: "users",
-                localField: "owner",
-                foreignField: "_id",
-                as: "owner",
-                pipeline: [
-                    {
-                        $project: {
-                            username: 1,
-                            fullName: 1,
-                            avatar: 1
-                        }
-                    }
-                ]
+        stages: [
+            ownerLookup,
+            maskDeletedFields,
+            {
+                $lookup: {
+                    from: "comments",
+                    localField: "_id",
+                    foreignField: "parentComment",
+                    as: "replyPreview",
+                    pipeline: [
+                        { $sort: { createdAt: 1 } },
+                        { $limit: REPLY_PREVIEW_COUNT },
+                        ownerLookup,
+                        maskDeletedFields
+                    ]
+                }
             }
-        },
-        {
-            $addFields: {
-                owner: { $first: "$owner" }
-            }
-        },
-        {
-            $sort: { createdAt: 1 }
-        }
-    ])
-    
-    const options = {
-        page: parseInt(page, 10),
-        limit: parseInt(limit, 10)
-    }
-    
-    const comments = await Comment.aggregatePaginate(commentsAggregate, options)
+        ],
+        sortOrder: 1,
+        cursor,
+        page,
+        limit
+    })
     
     return res.status(200).json(
         new ApiResponse(200, comments, "Comments retrieved successfully")
@@ -67,20 +102,81 @@ const getVideoComments = asyncHandler(async (req, res) => {
 
 })
 
-const addComment = asyncHandler(async (req, res) => {
-    //: add a comment to a video
-    const { videoId } = req.params
+const getVideoComments = getCommentsFor("Video")
+const getTweetComments = getCommentsFor("Tweet")
+const getPlaylistComments = getCommentsFor("Playlist")
+
+const getCommentReplies = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
+    const { cursor, page, limit } = req.query
+
+    const parentComment = await Comment.findById(commentId)
+    if (!parentComment) {
+        throw new ApiError(404, "Comment not found")
+    }
+
+    const replies = await paginate(Comment, {
+        match: { parentComment: new mongoose.Types.ObjectId(commentId) },
+        stages: [ownerLookup, maskDeletedFields],
+        sortOrder: 1,
+        cursor,
+        page,
+        limit
+    })
+
+    return res.status(200).json(
+        new ApiResponse(200, replies, "Replies retrieved successfully")
+    )
+})
+
+const addReply = asyncHandler(async (req, res) => {
+    const { commentId } = req.params
     const { content } = req.body
-    
-    // Validate content
-    if (!content || content.trim().length === 0) {
-        throw new ApiError(400, "Comment content is required")
+
+    // replying inside a thread whose root was deleted is still allowed
+    const targetComment = await Comment.findById(commentId)
+    if (!targetComment) {
+        throw new ApiError(404, "Comment not found")
     }
-    
-    // Validate videoId
-    if (!mongoose.isValidObjectId(videoId)) {
-        throw new ApiError(400, "Invalid video ID")
+
+    // threads are one level deep, so replying to a reply lands in the same thread
+    const parentId = targetComment.parentComment || targetComment._id
+
+    const reply = await Comment.create({
+        content,
+        targetType: targetComment.targetType,
+        target: targetComment.target ?? targetComment.video,
+        video: targetComment.video,
+        owner: req.user?._id,
+        parentComment: parentId
+    })
+
+    await Comment.findByIdAndUpdate(parentId, { $inc: { replyCount: 1 } })
+
+    // replies in a video's threads count in its daily analytics
+    if (targetComment.video) {
+        const video = await Video.findById(targetComment.video).select("owner")
+        if (video) {
+            await VideoDailyStats.increment(video, { comments: 1 })
+        }
+    }
+
+    const createdReply = await Comment.findById(reply._id).populate("owner", "username fullName avatar")
+
+    if (createdReply.video) {
+        await publish(`video:${createdReply.video}`, "comment.created", createdReply.toObject())
     }
+
+    return res.status(201).json(
+        new ApiResponse(201, createdReply, "Reply added successfully")
+    )
+})
+
+const addCommentTo = (targetType) => asyncHandler(async (req, res) => {
+    //: add a comment to a video, tweet or playlist
+    const { model, param, label } = COMMENT_TARGETS[targetType]
+    const targetId = req.params[param]
+    const { content } = req.body
     
     // Verify authenticated user exists
     const currentUser = await User.findById(req.user?._id)
@@ -88,16 +184,18 @@ const addComment = asyncHandler(async (req, res) => {
         throw new ApiError(404, "User not found")
     }
     
-    // Check if video exists
-    const video = await Video.findById(videoId)
-    if (!video) {
-        throw new ApiError(404, "Video not found")
+    // Check if the target exists
+    const target = await model.findById(targetId)
+    if (!target) {
+        throw new ApiError(404, `${label} not found`)
     }
     
     // Create comment
     const comment = await Comment.create({
-        content: content.trim(),
-        video: videoId,
+        content,
+        targetType,
+        target: targetId,
+        video: targetType === "Video" ? targetId : undefined,
         owner: req.user?._id
     })
     
@@ -105,14 +203,36 @@ const addComment = asyncHandler(async (req, res) => {
         throw new ApiError(500, "Failed to create comment")
     }
     
+    // Count it in the video's daily analytics
+    if (targetType === "Video") {
+        await VideoDailyStats.increment(target, { comments: 1 })
+    }
+    
+    await notify({
+        recipient: target.owner,
+        type: "comment",
+        actor: req.user._id,
+        entityType: targetType,
+        entity: target._id
+    })
+    
     // Populate owner details for response
     const createdComment = await Comment.findById(comment._id).populate("owner", "username fullName avatar")
     
+    // Live comment lists of people watching the video
+    if (targetType === "Video") {
+        await publish(`video:${targetId}`, "comment.created", createdComment.toObject())
+    }
+    
     return res.status(201).json(
         new ApiResponse(201, createdComment, "Comment added successfully")
     )
 })
 
+const addComment = addCommentTo("Video")
+const addTweetComment = addCommentTo("Tweet")
+const addPlaylistComment = addCommentTo("Playlist")
+
 const updateComment = asyncHandler(async (req, res) => {
     //: update a comment
     const { commentId } = req.params
@@ -136,7 +256,7 @@ const updateComment = asyncHandler(async (req, res) => {
     
     // Find comment
     const comment = await Comment.findById(commentId)
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
         throw new ApiError(404, "Comment not found")
     }
     
@@ -174,7 +294,7 @@ const deleteComment = asyncHandler(async (req, res) => {
     
     // Find comment
     const comment = await Comment.findById(commentId)
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
         throw new ApiError(404, "Comment not found")
     }
     
@@ -183,8 +303,27 @@ const deleteComment = asyncHandler(async (req, res) => {
         throw new ApiError(403, "You are not authorized to delete this comment")
     }
     
-    // Delete comment
-    await Comment.findByIdAndDelete(commentId)
+    if (comment.replyCount > 0) {
+        // Keep a tombstone so the replies aren't orphaned
+        await Comment.findByIdAndUpdate(commentId, {
+            $set: { isDeleted: true },
+            $unset: { content: 1 }
+        })
+    } else {
+        await Comment.findByIdAndDelete(commentId)
+        
+        if (comment.parentComment) {
+            const parent = await Comment.findByIdAndUpdate(
+                comment.parentComment,
+                { $inc: { replyCount: -1 } },
+                { new: true }
+            )
+            // A tombstone whose last reply is gone has nothing left to hold in place
+            if (parent?.isDeleted && parent.replyCount <= 0) {
+                await Comment.findByIdAndDelete(parent._id)
+            }
+        }
+    }
     
     return res.status(200).json(
         new ApiResponse(200, {}, "Comment deleted successfully")
@@ -193,7 +332,13 @@ const deleteComment = asyncHandler(async (req, res) => {
 
 export {
     getVideoComments,
+    getTweetComments,
+    getPlaylistComments,
+    getCommentReplies,
     addComment,
+    addTweetComment,
+    addPlaylistComment,
+    addReply,
     updateComment,
     deleteComment
 }
\ No newline at end of file
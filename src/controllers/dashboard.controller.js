@@ -1,11 +1,39 @@
 import mongoose from "mongoose"
 import {User} from "../models/user.model.js"
 import {Video} from "../models/video.model.js"
-import {Subscription} from "../models/subscription.model.js"
-import {Like} from "../models/like.model.js"
+import {VideoDailyStats} from "../models/videoDailyStats.model.js"
+import {ChannelDailyStats} from "../models/channelDailyStats.model.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import {paginate} from "../utils/paginate.js"
+import {DAY_MS, MAX_ANALYTICS_RANGE_DAYS, startOfDay, periodExpression, fillSeries, sumSeries} from "../utils/analytics.js"
+import {createTtlCache} from "../utils/ttlCache.js"
+
+const RECENT_VIEWS_DAYS = 30
+
+// stats are cached briefly so a dashboard reload doesn't rerun the whole pipeline
+const channelStatsCache = createTtlCache({ ttlMs: 60 * 1000 })
+
+const topVideosBy = (field, top) => [
+    { $sort: { [field]: -1, createdAt: -1 } },
+    { $limit: top },
+    {
+        $project: {
+            title: 1,
+            thumbnail: 1,
+            duration: 1,
+            isPublished: 1,
+            createdAt: 1,
+            views: 1,
+            likesCount: 1,
+            commentsCount: 1
+        }
+    }
+]
+
+// Per-view rates rounded to 4 decimals, 0 while there are no views
+const perView = (count, views) => views ? Math.round((count / views) * 10000) / 10000 : 0
 
 const getChannelStats = asyncHandler(async (req, res) => {
     //: Get the channel stats like total video views, total subscribers, total videos, total likes etc.
@@ -15,13 +43,25 @@ const getChannelStats = asyncHandler(async (req, res) => {
         throw new ApiError(404, "User not found")
     }
     
-    const channelId = req.user?._id
+    const channelId = new mongoose.Types.ObjectId(req.user?._id)
+    const { top } = req.query
     
-    // Aggregation pipeline to get comprehensive channel statistics
-    const channelStats = await Video.aggregate([
+    const cacheKey = `${channelId}:${top}`
+    const cached = channelStatsCache.get(cacheKey)
+    if (cached) {
+        return res.status(200).json(
+            new ApiResponse(200, cached, "Channel stats retrieved successfully")
+        )
+    }
+    
+    const since = startOfDay(new Date(Date.now() - (RECENT_VIEWS_DAYS - 1) * DAY_MS))
+    
+    // One pipeline: per-video like and comment counts, then totals and top lists side by side.
+    // The subscriber and recent views lookups run once, on the single $facet result
+    const [stats] = await Video.aggregate([
         {
             $match: {
-                owner: new mongoose.Types.ObjectId(channelId)
+                owner: channelId
             }
         },
         {
@@ -29,88 +69,115 @@ const getChannelStats = asyncHandler(async (req, res) => {
                 from: "likes",
                 localField: "_id",
                 foreignField: "video",
-                as: "likes"
+                as: "likes",
+                pipeline: [
+                    { $count: "count" }
+                ]
             }
         },
         {
             $lookup: {
-                from: "subscriptions",
-                localField: "owner",
-                foreignField: "channel",
-                as: "subscribers"
+                from: "comments",
+                localField: "_id",
+                foreignField: "video",
+                as: "comments",
+                pipeline: [
+                    // deleted comments kept as reply tombstones don't count
+                    { $match: { isDeleted: { $ne: true } } },
+                    { $count: "count" }
+                ]
             }
         },
         {
-            $group: {
-                _id: null,
-                totalVideos: { $sum: 1 },
-                totalViews: { $sum: "$views" },
-                totalLikes: { $sum: { $size: "$likes" } },
-                totalSubscribers: { $first: { $size: "$subscribers" } }
+            $addFields: {
+                likesCount: { $ifNull: [{ $first: "$likes.count" }, 0] },
+                commentsCount: { $ifNull: [{ $first: "$comments.count" }, 0] }
             }
         },
         {
-            $project: {
-                _id: 0,
-                totalVideos: 1,
-                totalViews: 1,
-                totalLikes: 1,
-                totalSubscribers: 1
+            $facet: {
+                totals: [
+                    {
+                        $group: {
+                            _id: null,
+                            totalVideos: { $sum: 1 },
+                            publishedVideos: { $sum: { $cond: ["$isPublished", 1, 0] } },
+                            totalViews: { $sum: "$views" },
+                            totalLikes: { $sum: "$likesCount" },
+                            totalComments: { $sum: "$commentsCount" },
+                            totalDuration: { $sum: "$duration" }
+                        }
+                    }
+                ],
+                byViews: topVideosBy("views", top),
+                byLikes: topVideosBy("likesCount", top),
+                byComments: topVideosBy("commentsCount", top)
             }
-        }
-    ])
-    
-    // If no videos exist, get subscriber count separately
-    let stats = channelStats[0]
-    if (!stats) {
-        const subscriberCount = await Subscription.countDocuments({
-            channel: channelId
-        })
-        
-        stats = {
-            totalVideos: 0,
-            totalViews: 0,
-            totalLikes: 0,
-            totalSubscribers: subscriberCount
-        }
-    }
-    
-    // Get additional analytics
-    const additionalStats = await Video.aggregate([
+        },
         {
-            $match: {
-                owner: new mongoose.Types.ObjectId(channelId)
+            $lookup: {
+                from: "subscriptions",
+                as: "subscribers",
+                pipeline: [
+                    { $match: { channel: channelId } },
+                    { $count: "count" }
+                ]
             }
         },
         {
-            $group: {
-                _id: null,
-                averageViews: { $avg: "$views" },
-                mostViewedVideo: { $max: "$views" },
-                totalDuration: { $sum: "$duration" }
+            $lookup: {
+                from: "videodailystats",
+                as: "dailyViews",
+                pipeline: [
+                    { $match: { channel: channelId, date: { $gte: since } } },
+                    { $group: { _id: "$date", views: { $sum: "$views" } } },
+                    { $sort: { _id: 1 } },
+                    { $project: { _id: 0, date: "$_id", views: 1 } }
+                ]
             }
         }
     ])
     
-    const additional = additionalStats[0] || {
-        averageViews: 0,
-        mostViewedVideo: 0,
+    const totals = stats.totals[0] || {
+        totalVideos: 0,
+        publishedVideos: 0,
+        totalViews: 0,
+        totalLikes: 0,
+        totalComments: 0,
         totalDuration: 0
     }
     
     const finalStats = {
-        ...stats,
-        averageViews: Math.round(additional.averageViews || 0),
-        mostViewedVideo: additional.mostViewedVideo || 0,
-        totalDuration: additional.totalDuration || 0,
+        totalVideos: totals.totalVideos,
+        publishedVideos: totals.publishedVideos,
+        unpublishedVideos: totals.totalVideos - totals.publishedVideos,
+        totalViews: totals.totalViews,
+        totalLikes: totals.totalLikes,
+        totalComments: totals.totalComments,
+        totalSubscribers: stats.subscribers[0]?.count || 0,
+        totalDuration: totals.totalDuration,
+        averageViews: totals.totalVideos ? Math.round(totals.totalViews / totals.totalVideos) : 0,
+        likesPerView: perView(totals.totalLikes, totals.totalViews),
+        commentsPerView: perView(totals.totalComments, totals.totalViews),
+        mostViewedVideo: stats.byViews[0] || null,
+        topVideos: {
+            byViews: stats.byViews,
+            byLikes: stats.byLikes,
+            byComments: stats.byComments
+        },
+        recentViews: stats.dailyViews.reduce((total, day) => total + day.views, 0),
+        dailyViews: stats.dailyViews,
         channel: {
             _id: currentUser._id,
             username: currentUser.username,
             fullName: currentUser.fullName,
             avatar: currentUser.avatar
-        }
+        },
+        generatedAt: new Date()
     }
     
+    channelStatsCache.set(cacheKey, finalStats)
+    
     return res.status(200).json(
         new ApiResponse(200, finalStats, "Channel stats retrieved successfully")
     )
@@ -126,95 +193,212 @@ const getChannelVideos = asyncHandler(async (req, res) => {
     
     const channelId = req.user?._id
     
-    // Get pagination parameters
-    const page = parseInt(req.query.page) || 1
-    const limit = parseInt(req.query.limit) || 10
+    const { cursor, page, limit } = req.query
     const sortBy = req.query.sortBy || "createdAt"
     const sortType = req.query.sortType === "asc" ? 1 : -1
-    const skip = (page - 1) * limit
     
-    // Aggregation pipeline to get channel videos with stats
-    const videos = await Video.aggregate([
-        {
-            $match: {
-                owner: new mongoose.Types.ObjectId(channelId)
-            }
-        },
-        {
-            $lookup: {
-                from: "likes",
-                localField: "_id",
-                foreignField: "video",
-                as: "likes"
-            }
-        },
-        {
-            $lookup: {
-                from: "comments",
-                localField: "_id",
-                foreignField: "video",
-                as: "comments"
-            }
+    // Likes and comments are counted before paging so they can be sorted on
+    const videos = await paginate(Video, {
+        match: {
+            owner: new mongoose.Types.ObjectId(channelId)
         },
-        {
-            $addFields: {
-                likesCount: { $size: "$likes" },
-                commentsCount: { $size: "$comments" }
-            }
-        },
-        {
-            $project: {
-                title: 1,
-                description: 1,
-                thumbnail: 1,
-                videoFile: 1,
-                duration: 1,
-                views: 1,
-                isPublished: 1,
-                createdAt: 1,
-                updatedAt: 1,
-                likesCount: 1,
-                commentsCount: 1
+        preSortStages: [
+            {
+                $lookup: {
+                    from: "likes",
+                    localField: "_id",
+                    foreignField: "video",
+                    as: "likes",
+                    pipeline: [
+                        { $project: { _id: 1 } }
+                    ]
+                }
+            },
+            {
+                $lookup: {
+                    from: "comments",
+                    localField: "_id",
+                    foreignField: "video",
+                    as: "comments",
+                    pipeline: [
+                        // deleted comments kept as reply tombstones don't count
+                        { $match: { isDeleted: { $ne: true } } },
+                        { $project: { _id: 1 } }
+                    ]
+                }
+            },
+            {
+                $addFields: {
+                    likesCount: { $size: "$likes" },
+                    commentsCount: { $size: "$comments" }
+                }
+            },
+            {
+                $project: {
+                    title: 1,
+                    description: 1,
+                    thumbnail: 1,
+                    videoFile: 1,
+                    duration: 1,
+                    views: 1,
+                    isPublished: 1,
+                    status: 1,
+                    createdAt: 1,
+                    updatedAt: 1,
+                    likesCount: 1,
+                    commentsCount: 1
+                }
             }
-        },
-        {
-            $sort: { [sortBy]: sortType }
-        },
-        {
-            $skip: skip
-        },
-        {
-            $limit: limit
-        }
-    ])
-    
-    // Get total count for pagination
-    const totalVideos = await Video.countDocuments({
-        owner: channelId
+        ],
+        sortField: sortBy,
+        sortOrder: sortType,
+        cursor,
+        page,
+        limit
     })
     
     return res.status(200).json(
         new ApiResponse(200, {
-            videos,
+            ...videos,
             channel: {
                 _id: currentUser._id,
                 username: currentUser.username,
                 fullName: currentUser.fullName,
                 avatar: currentUser.avatar
-            },
-            pagination: {
-                page,
-                limit,
-                total: totalVideos,
-                pages: Math.ceil(totalVideos / limit),
-                hasNextPage: page < Math.ceil(totalVideos / limit),
-                hasPrevPage: page > 1
             }
         }, "Channel videos retrieved successfully")
     )
 })
 
+const VIDEO_METRICS = ["views", "likes", "comments"]
+const CHANNEL_METRICS = ["subscribers", "unsubscribes"]
+
+// Inclusive day range of an analytics request, the last 30 days unless given.
+// The span is checked here, after the defaults, since from alone can reach back any distance
+const analyticsRange = ({ from, to }) => {
+    const end = startOfDay(to || new Date())
+    const start = startOfDay(from || new Date(end.getTime() - 29 * DAY_MS))
+    if (start > end) {
+        throw new ApiError(400, "from must not be later than to", [{ field: "query.from", message: "from must not be later than to" }])
+    }
+    if (end - start > MAX_ANALYTICS_RANGE_DAYS * DAY_MS) {
+        const message = `The range can span at most ${MAX_ANALYTICS_RANGE_DAYS} days`
+        throw new ApiError(400, message, [{ field: "query.from", message }])
+    }
+    return { from: start, to: end }
+}
+
+// Sums the rollup documents matched by match into one row per period
+const rollupSeries = async (Model, match, granularity, metrics) => {
+    const group = { _id: periodExpression(granularity) }
+    metrics.forEach((metric) => {
+        group[metric] = { $sum: `$${metric}` }
+    })
+
+    return await Model.aggregate([
+        { $match: match },
+        { $group: group },
+        { $addFields: { period: "$_id" } },
+        { $project: { _id: 0 } }
+    ])
+}
+
+const getChannelAnalytics = asyncHandler(async (req, res) => {
+    const { granularity, top } = req.query
+    const { from, to } = analyticsRange(req.query)
+    const channelId = new mongoose.Types.ObjectId(req.user?._id)
+    const match = { channel: channelId, date: { $gte: from, $lte: to } }
+    
+    const [videoRows, channelRows, topVideos] = await Promise.all([
+        rollupSeries(VideoDailyStats, match, granularity, VIDEO_METRICS),
+        rollupSeries(ChannelDailyStats, match, granularity, CHANNEL_METRICS),
+        // Most viewed videos inside the range
+        VideoDailyStats.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: "$video",
+                    views: { $sum: "$views" },
+                    likes: { $sum: "$likes" },
+                    comments: { $sum: "$comments" }
+                }
+            },
+            { $sort: { views: -1, likes: -1, _id: 1 } },
+            { $limit: top },
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "_id",
+                    foreignField: "_id",
+                    as: "video",
+                    pipeline: [
+                        { $project: { title: 1, thumbnail: 1, duration: 1, isPublished: 1, createdAt: 1 } }
+                    ]
+                }
+            },
+            {
+                $addFields: {
+                    video: { $first: "$video" }
+                }
+            },
+            // rollups of deleted videos stay behind
+            { $match: { video: { $ne: null } } },
+            { $project: { _id: 0 } }
+        ])
+    ])
+    
+    const range = { from, to, granularity }
+    const videoSeries = fillSeries(videoRows, { ...range, fields: VIDEO_METRICS })
+    const channelSeries = fillSeries(channelRows, { ...range, fields: CHANNEL_METRICS })
+    const series = videoSeries.map((entry, index) => ({ ...entry, ...channelSeries[index] }))
+    
+    return res.status(200).json(
+        new ApiResponse(200, {
+            ...range,
+            series,
+            totals: sumSeries(series, [...VIDEO_METRICS, ...CHANNEL_METRICS]),
+            topVideos
+        }, "Channel analytics retrieved successfully")
+    )
+})
+
+const getVideoAnalytics = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { granularity } = req.query
+    const { from, to } = analyticsRange(req.query)
+    
+    const video = await Video.findById(videoId).select("title thumbnail duration owner createdAt")
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+    
+    if (video.owner.toString() !== req.user?._id.toString()) {
+        throw new ApiError(403, "You can't view analytics of this video as you are not the owner")
+    }
+    
+    const rows = await rollupSeries(
+        VideoDailyStats,
+        { video: video._id, date: { $gte: from, $lte: to } },
+        granularity,
+        VIDEO_METRICS
+    )
+    const series = fillSeries(rows, { from, to, granularity, fields: VIDEO_METRICS })
+    
+    return res.status(200).json(
+        new ApiResponse(200, {
+            video,
+            from,
+            to,
+            granularity,
+            series,
+            totals: sumSeries(series, VIDEO_METRICS)
+        }, "Video analytics retrieved successfully")
+    )
+})
+
 export {
     getChannelStats,
-    getChannelVideos
-}
\ No newline at end of file
+    getChannelVideos,
+    getChannelAnalytics,
+    getVideoAnalytics
+}
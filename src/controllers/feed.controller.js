@@ -0,0 +1,218 @@
+import mongoose from "mongoose"
+import {Tweet} from "../models/tweet.model.js"
+import {Subscription} from "../models/subscription.model.js"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {encodeCursor, decodeCursor} from "../utils/paginate.js"
+
+const POPULAR_WINDOW_DAYS = 30
+
+// Tweets and published, processed videos of the given owners as one stream
+const mergedContentStages = (ownerMatch) => [
+    {
+        $match: ownerMatch
+    },
+    {
+        $project: {
+            type: { $literal: "tweet" },
+            content: 1,
+            owner: 1,
+            createdAt: 1
+        }
+    },
+    {
+        $unionWith: {
+            coll: "videos",
+            pipeline: [
+                {
+                    $match: {
+                        ...ownerMatch,
+                        isPublished: true,
+                        status: { $in: ["ready", null] }
+                    }
+                },
+                {
+                    $project: {
+                        type: { $literal: "video" },
+                        title: 1,
+                        description: 1,
+                        thumbnail: 1,
+                        duration: 1,
+                        views: 1,
+                        owner: 1,
+                        createdAt: 1
+                    }
+                }
+            ]
+        }
+    }
+]
+
+// ids are unique across collections, so only one of the two lookups ever matches
+const likeStages = (userId) => [
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: "tweet",
+            as: "tweetLikes",
+            pipeline: [{ $project: { likedBy: 1 } }]
+        }
+    },
+    {
+        $lookup: {
+            from: "likes",
+            localField: "_id",
+            foreignField: "video",
+            as: "videoLikes",
+            pipeline: [{ $project: { likedBy: 1 } }]
+        }
+    },
+    {
+        $addFields: {
+            likes: { $concatArrays: ["$tweetLikes", "$videoLikes"] }
+        }
+    },
+    {
+        $addFields: {
+            likesCount: { $size: "$likes" },
+            isLiked: { $in: [userId, "$likes.likedBy"] }
+        }
+    },
+    {
+        $project: {
+            tweetLikes: 0,
+            videoLikes: 0,
+            likes: 0
+        }
+    }
+]
+
+const ownerStages = [
+    {
+        $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [
+                {
+                    $project: {
+                        username: 1,
+                        fullName: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            owner: { $first: "$owner" }
+        }
+    }
+]
+
+const getSubscriptionFeed = async (userId, channelIds, cursor, limit) => {
+    const cursorStages = []
+    if (cursor) {
+        const createdAt = new Date(cursor.createdAt)
+        const _id = new mongoose.Types.ObjectId(cursor._id)
+        cursorStages.push({
+            $match: {
+                $or: [
+                    { createdAt: { $lt: createdAt } },
+                    { createdAt, _id: { $lt: _id } }
+                ]
+            }
+        })
+    }
+
+    const items = await Tweet.aggregate([
+        ...mergedContentStages({ owner: { $in: channelIds } }),
+        ...cursorStages,
+        { $sort: { createdAt: -1, _id: -1 } },
+        { $limit: limit + 1 },
+        ...likeStages(userId),
+        ...ownerStages
+    ])
+
+    const hasMore = items.length > limit
+    const page = items.slice(0, limit)
+    const last = page[page.length - 1]
+
+    return {
+        items: page,
+        hasMore,
+        nextCursor: hasMore
+            ? encodeCursor({ mode: "subscriptions", createdAt: last.createdAt, _id: last._id })
+            : null
+    }
+}
+
+// Without subscriptions we show what is popular across everyone recently
+const getPopularFeed = async (userId, cursor, limit) => {
+    const offset = cursor?.offset || 0
+    const since = new Date(Date.now() - POPULAR_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+
+    const items = await Tweet.aggregate([
+        ...mergedContentStages({ createdAt: { $gte: since } }),
+        ...likeStages(userId),
+        {
+            $addFields: {
+                // a like weighs as much as ten views
+                popularity: { $add: ["$likesCount", { $multiply: [{ $ifNull: ["$views", 0] }, 0.1] }] }
+            }
+        },
+        { $sort: { popularity: -1, createdAt: -1, _id: -1 } },
+        { $skip: offset },
+        { $limit: limit + 1 },
+        ...ownerStages
+    ])
+
+    const hasMore = items.length > limit
+
+    return {
+        items: items.slice(0, limit),
+        hasMore,
+        nextCursor: hasMore ? encodeCursor({ mode: "popular", offset: offset + limit }) : null
+    }
+}
+
+// the two shapes getSubscriptionFeed and getPopularFeed hand out
+const isFeedCursor = (cursor) => {
+    if (cursor.mode === "subscriptions") {
+        return typeof cursor.createdAt === "string" &&
+            !Number.isNaN(Date.parse(cursor.createdAt)) &&
+            mongoose.isObjectIdOrHexString(cursor._id)
+    }
+    if (cursor.mode === "popular") {
+        return Number.isInteger(cursor.offset) && cursor.offset >= 0
+    }
+    return false
+}
+
+const getFeed = asyncHandler(async (req, res) => {
+    const { cursor, limit } = req.query
+    const userId = new mongoose.Types.ObjectId(req.user._id)
+    const decodedCursor = cursor ? decodeCursor(cursor, isFeedCursor) : null
+
+    const subscriptions = await Subscription.find({ subscriber: userId }).select("channel")
+    const channelIds = subscriptions.map((subscription) => subscription.channel)
+
+    // a cursor keeps the mode it was issued in, even if subscriptions changed meanwhile
+    const mode = decodedCursor?.mode || (channelIds.length ? "subscriptions" : "popular")
+
+    const feed = mode === "subscriptions"
+        ? await getSubscriptionFeed(userId, channelIds, decodedCursor, limit)
+        : await getPopularFeed(userId, decodedCursor, limit)
+
+    return res.status(200).json(
+        new ApiResponse(200, { ...feed, mode }, "Feed fetched successfully")
+    )
+})
+
+export {
+    getFeed
+}
@@ -4,9 +4,13 @@ import {Video} from "../models/video.model.js"
 import {Comment} from "../models/comment.model.js"
 import {Tweet} from "../models/tweet.model.js"
 import {User} from "../models/user.model.js"
+import {VideoDailyStats} from "../models/videoDailyStats.model.js"
+import {notify} from "../utils/notifications.js"
+import {publish} from "../utils/realtime.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import {paginate} from "../utils/paginate.js"
 
 const toggleVideoLike = asyncHandler(async (req, res) => {
     const {videoId} = req.params
@@ -39,8 +43,9 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
     let isLiked
     
     if (existingLike) {
-        // Unlike - remove like
+        // Unlike - remove like, and take it back from the day it was given
         await Like.findByIdAndDelete(existingLike._id)
+        await VideoDailyStats.decrement(video, { likes: 1 }, existingLike.createdAt)
         message = "Video unliked successfully"
         isLiked = false
     } else {
@@ -49,10 +54,22 @@ const toggleVideoLike = asyncHandler(async (req, res) => {
             video: videoId,
             likedBy: req.user?._id
         })
+        await VideoDailyStats.increment(video, { likes: 1 })
+        await notify({
+            recipient: video.owner,
+            type: "video_like",
+            actor: req.user._id,
+            entityType: "Video",
+            entity: video._id
+        })
         message = "Video liked successfully"
         isLiked = true
     }
     
+    // Push the new count to everyone watching the video
+    const likesCount = await Like.countDocuments({ video: videoId })
+    await publish(`video:${video._id}`, "video.likes", { videoId: video._id, likesCount })
+    
     return res.status(200).json(
         new ApiResponse(200, { isLiked }, message)
     )
@@ -73,9 +90,9 @@ const toggleCommentLike = asyncHandler(async (req, res) => {
         throw new ApiError(404, "User not found")
     }
     
-    // Check if comment exists
+    // Check if comment exists (tombstones can't be liked)
     const comment = await Comment.findById(commentId)
-    if (!comment) {
+    if (!comment || comment.isDeleted) {
         throw new ApiError(404, "Comment not found")
     }
     
@@ -166,109 +183,88 @@ const getLikedVideos = asyncHandler(async (req, res) => {
         throw new ApiError(404, "User not found")
     }
     
-    // Get pagination parameters
-    const page = parseInt(req.query.page) || 1
-    const limit = parseInt(req.query.limit) || 10
-    const skip = (page - 1) * limit
+    const { cursor, page, limit } = req.query
     
-    // Aggregation pipeline to get liked videos with details
-    const likedVideos = await Like.aggregate([
-        {
-            $match: { 
-                likedBy: new mongoose.Types.ObjectId(req.user?._id),
-                video: { $exists: true }
-            }
+    // Most recently liked first, with video and owner details
+    const likedVideos = await paginate(Like, {
+        match: {
+            likedBy: new mongoose.Types.ObjectId(req.user?._id),
+            video: { $exists: true }
         },
-        {
-            $lookup: {
-                from: "videos",
-                localField: "video",
-                foreignField: "_id",
-                as: "videoDetails",
-                pipeline: [
-                    {
-                        $lookup: {
-                            from: "users",
-                            localField: "owner",
-                            foreignField: "_id",
-                            as: "owner",
-                            pipeline: [
-                                {
-                                    $project: {
-                                        username: 1,
-                                        fullName: 1,
-                                        avatar: 1
+        stages: [
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "video",
+                    foreignField: "_id",
+                    as: "videoDetails",
+                    pipeline: [
+                        {
+                            $lookup: {
+                                from: "users",
+                                localField: "owner",
+                                foreignField: "_id",
+                                as: "owner",
+                                pipeline: [
+                                    {
+                                        $project: {
+                                            username: 1,
+                                            fullName: 1,
+                                            avatar: 1
+                                        }
                                     }
-                                }
-                            ]
-                        }
-                    },
-                    {
-                        $addFields: {
-                            owner: { $first: "$owner" }
+                                ]
+                            }
+                        },
+                        {
+                            $addFields: {
+                                owner: { $first: "$owner" }
+                            }
+                        },
+                        {
+                            $project: {
+                                title: 1,
+                                description: 1,
+                                thumbnail: 1,
+                                duration: 1,
+                                views: 1,
+                                createdAt: 1,
+                                owner: 1
+                            }
                         }
-                    },
-                    {
-                        $project: {
-                            title: 1,
-                            description: 1,
-                            thumbnail: 1,
-                            duration: 1,
-                            views: 1,
-                            createdAt: 1,
-                            owner: 1
-                        }
-                    }
-                ]
-            }
-        },
-        {
-            $addFields: {
-                video: { $first: "$videoDetails" }
-            }
-        },
-        {
-            $match: {
-                video: { $ne: null }
-            }
-        },
-        {
-            $project: {
-                videoDetails: 0,
-                likedBy: 0
+                    ]
+                }
+            },
+            {
+                $addFields: {
+                    video: { $first: "$videoDetails" }
+                }
+            },
+            {
+                $match: {
+                    video: { $ne: null }
+                }
+            },
+            {
+                $project: {
+                    videoDetails: 0,
+                    likedBy: 0
+                }
             }
-        },
-        {
-            $sort: { createdAt: -1 }
-        },
-        {
-            $skip: skip
-        },
-        {
-            $limit: limit
-        }
-    ])
-    
-    // Get total count for pagination
-    const totalLikedVideos = await Like.countDocuments({
-        likedBy: req.user?._id,
-        video: { $exists: true }
+        ],
+        cursor,
+        page,
+        limit
     })
     
     return res.status(200).json(
         new ApiResponse(200, {
-            likedVideos,
+            ...likedVideos,
             user: {
                 _id: currentUser._id,
                 username: currentUser.username,
                 fullName: currentUser.fullName,
                 avatar: currentUser.avatar
-            },
-            pagination: {
-                page,
-                limit,
-                total: totalLikedVideos,
-                pages: Math.ceil(totalLikedVideos / limit)
             }
         }, "Liked videos retrieved successfully")
     )
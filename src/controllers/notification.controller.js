@@ -0,0 +1,118 @@
+import mongoose from "mongoose"
+import {Notification, NOTIFICATION_TYPES} from "../models/notification.model.js"
+import {User} from "../models/user.model.js"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {paginate} from "../utils/paginate.js"
+import {presentNotifications} from "../utils/notifications.js"
+
+const getNotifications = asyncHandler(async (req, res) => {
+    const { cursor, page, limit, unread } = req.query
+
+    const match = { recipient: new mongoose.Types.ObjectId(req.user?._id) }
+    if (unread) {
+        match.isRead = false
+    }
+
+    // Most recent activity first, an aggregated notification moves up with every new actor
+    const notifications = await paginate(Notification, {
+        match,
+        sortField: "lastActivityAt",
+        cursor,
+        page,
+        limit
+    })
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { ...notifications, items: await presentNotifications(notifications.items) },
+                "Notifications fetched successfully"
+            )
+        )
+})
+
+const getUnreadNotificationCount = asyncHandler(async (req, res) => {
+    const unreadCount = await Notification.countDocuments({
+        recipient: req.user?._id,
+        isRead: false
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { unreadCount }, "Unread notification count fetched successfully"))
+})
+
+const markNotificationRead = asyncHandler(async (req, res) => {
+    const { notificationId } = req.params
+
+    const notification = await Notification.findOneAndUpdate(
+        { _id: notificationId, recipient: req.user?._id },
+        { $set: { isRead: true, readAt: new Date() } },
+        { new: true }
+    )
+
+    // someone else's notification looks the same as a missing one
+    if (!notification) {
+        throw new ApiError(404, "Notification not found")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, notification, "Notification marked as read"))
+})
+
+const markAllNotificationsRead = asyncHandler(async (req, res) => {
+    const result = await Notification.updateMany(
+        { recipient: req.user?._id, isRead: false },
+        { $set: { isRead: true, readAt: new Date() } }
+    )
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { updatedCount: result.modifiedCount }, "All notifications marked as read"))
+})
+
+const getNotificationPreferences = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.user?._id).select("notificationPreferences")
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user.notificationPreferences, "Notification preferences fetched successfully"))
+})
+
+const updateNotificationPreferences = asyncHandler(async (req, res) => {
+    // only the types sent are changed
+    const update = {}
+    for (const type of NOTIFICATION_TYPES) {
+        if (req.body[type] !== undefined) {
+            update[`notificationPreferences.${type}`] = req.body[type]
+        }
+    }
+
+    if (!Object.keys(update).length) {
+        throw new ApiError(400, `At least one of ${NOTIFICATION_TYPES.join(", ")} is required`)
+    }
+
+    const user = await User.findByIdAndUpdate(
+        req.user?._id,
+        { $set: update },
+        { new: true }
+    ).select("notificationPreferences")
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, user.notificationPreferences, "Notification preferences updated successfully"))
+})
+
+export {
+    getNotifications,
+    getUnreadNotificationCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences
+}
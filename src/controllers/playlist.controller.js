@@ -2,9 +2,12 @@ import mongoose, {isValidObjectId} from "mongoose"
 import {Playlist} from "../models/playlist.model.js"
 import {User} from "../models/user.model.js"
 import {Video} from "../models/video.model.js"
+import {Comment} from "../models/comment.model.js"
+import {Notification} from "../models/notification.model.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import {paginate} from "../utils/paginate.js"
 
 
 const createPlaylist = asyncHandler(async (req, res) => {
@@ -57,67 +60,49 @@ const getUserPlaylists = asyncHandler(async (req, res) => {
         throw new ApiError(404, "User not found")
     }
     
-    // Get pagination parameters
-    const page = parseInt(req.query.page) || 1
-    const limit = parseInt(req.query.limit) || 10
-    const skip = (page - 1) * limit
-    
-    // Aggregation pipeline to get playlists with video count
-    const playlists = await Playlist.aggregate([
-        {
-            $match: { owner: new mongoose.Types.ObjectId(userId) }
-        },
-        {
-            $lookup: {
-                from: "users",
-                localField: "owner",
-                foreignField: "_id",
-                as: "owner",
-                pipeline: [
-                    {
-                        $project: {
-                            username: 1,
-                            fullName: 1,
-                            avatar: 1
+    const { cursor, page, limit } = req.query
+    
+    // Newest playlists first, with owner details and video count
+    const playlists = await paginate(Playlist, {
+        match: { owner: new mongoose.Types.ObjectId(userId) },
+        stages: [
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "owner",
+                    foreignField: "_id",
+                    as: "owner",
+                    pipeline: [
+                        {
+                            $project: {
+                                username: 1,
+                                fullName: 1,
+                                avatar: 1
+                            }
                         }
-                    }
-                ]
-            }
-        },
-        {
-            $addFields: {
-                owner: { $first: "$owner" },
-                videoCount: { $size: "$videos" }
+                    ]
+                }
+            },
+            {
+                $addFields: {
+                    owner: { $first: "$owner" },
+                    videoCount: { $size: "$videos" }
+                }
             }
-        },
-        {
-            $sort: { createdAt: -1 }
-        },
-        {
-            $skip: skip
-        },
-        {
-            $limit: limit
-        }
-    ])
-    
-    // Get total count for pagination
-    const totalPlaylists = await Playlist.countDocuments({ owner: userId })
+        ],
+        cursor,
+        page,
+        limit
+    })
     
     return res.status(200).json(
         new ApiResponse(200, {
-            playlists,
+            ...playlists,
             user: {
                 _id: user._id,
                 username: user.username,
                 fullName: user.fullName,
                 avatar: user.avatar
-            },
-            pagination: {
-                page,
-                limit,
-                total: totalPlaylists,
-                pages: Math.ceil(totalPlaylists / limit)
             }
         }, "User playlists retrieved successfully")
     )
@@ -340,8 +325,10 @@ const deletePlaylist = asyncHandler(async (req, res) => {
         throw new ApiError(403, "You are not authorized to delete this playlist")
     }
     
-    // Delete playlist
+    // Delete playlist along with its comment threads and notifications
     await Playlist.findByIdAndDelete(playlistId)
+    await Comment.deleteMany({ targetType: "Playlist", target: playlistId })
+    await Notification.deleteMany({ entity: playlistId })
     
     return res.status(200).json(
         new ApiResponse(200, {}, "Playlist deleted successfully")
@@ -0,0 +1,46 @@
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {resolveTopic, openStream, updateStreamTopics} from "../utils/realtime.js"
+
+const openEventStream = asyncHandler(async (req, res) => {
+    const topics = req.query.topics.map((topic) => resolveTopic(topic, req.user._id))
+
+    // browsers send Last-Event-ID by themselves when an EventSource reconnects
+    const lastEventIdHeader = Number.parseInt(req.header("Last-Event-ID"), 10)
+    const lastEventId = Number.isInteger(lastEventIdHeader) && lastEventIdHeader >= 0
+        ? lastEventIdHeader
+        : req.query.lastEventId
+
+    await openStream(req, res, {
+        userId: req.user._id,
+        topics,
+        lastEventId,
+        sessionId: req.sessionId,
+        expiresAt: req.accessTokenExpiresAt
+    })
+})
+
+const updateEventStreamTopics = asyncHandler(async (req, res) => {
+    const { streamId } = req.params
+    const { subscribe, unsubscribe } = req.body
+
+    const topics = updateStreamTopics(streamId, req.user._id, {
+        subscribe: subscribe.map((topic) => resolveTopic(topic, req.user._id)),
+        unsubscribe: unsubscribe.map((topic) => resolveTopic(topic, req.user._id))
+    })
+
+    // streams live in the memory of the instance serving them
+    if (!topics) {
+        throw new ApiError(404, "Stream not found, reconnect with the topics in the url")
+    }
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { streamId, topics }, "Stream topics updated successfully"))
+})
+
+export {
+    openEventStream,
+    updateEventStreamTopics
+}
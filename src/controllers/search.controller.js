@@ -0,0 +1,164 @@
+import {Video} from "../models/video.model.js"
+import {User} from "../models/user.model.js"
+import {Tweet} from "../models/tweet.model.js"
+import {Playlist} from "../models/playlist.model.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {paginate} from "../utils/paginate.js"
+import {escapeRegex, publicVideoMatch, buildVideoSearch} from "../utils/videoSearch.js"
+import {subscriberStatsStages} from "../utils/subscriberStats.js"
+
+// text index score, the sort field for every group except videos with another sortBy
+const textScoreStages = [
+    { $addFields: { score: { $meta: "textScore" } } }
+]
+
+const ownerStages = [
+    {
+        $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [
+                {
+                    $project: {
+                        username: 1,
+                        fullName: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            owner: { $first: "$owner" }
+        }
+    }
+]
+
+// One paginated search per result type, each resolves to { items, nextCursor, hasMore }
+const SEARCHERS = {
+    videos: ({ q, filters, paging }) =>
+        paginate(Video, {
+            ...buildVideoSearch({ ...filters, query: q }),
+            stages: [
+                ...ownerStages,
+                {
+                    $project: {
+                        videoFileAsset: 0,
+                        thumbnailAsset: 0
+                    }
+                }
+            ],
+            ...paging
+        }),
+
+    channels: ({ q, viewerId, paging }) =>
+        paginate(User, {
+            match: { $text: { $search: q } },
+            preSortStages: textScoreStages,
+            sortField: "score",
+            stages: [
+                ...subscriberStatsStages(viewerId),
+                {
+                    $project: {
+                        username: 1,
+                        fullName: 1,
+                        avatar: 1,
+                        coverImage: 1,
+                        subscriberCount: 1,
+                        isSubscribed: 1,
+                        score: 1
+                    }
+                }
+            ],
+            ...paging
+        }),
+
+    tweets: ({ q, paging }) =>
+        paginate(Tweet, {
+            match: { $text: { $search: q } },
+            preSortStages: textScoreStages,
+            sortField: "score",
+            stages: ownerStages,
+            ...paging
+        }),
+
+    playlists: ({ q, paging }) =>
+        paginate(Playlist, {
+            match: { $text: { $search: q } },
+            preSortStages: textScoreStages,
+            sortField: "score",
+            stages: [
+                ...ownerStages,
+                {
+                    $addFields: {
+                        videosCount: { $size: "$videos" }
+                    }
+                },
+                {
+                    $project: {
+                        videos: 0
+                    }
+                }
+            ],
+            ...paging
+        })
+}
+
+const search = asyncHandler(async (req, res) => {
+    const { q, type, cursor, page, limit, ...filters } = req.query
+
+    const types = type === "all" ? Object.keys(SEARCHERS) : [type]
+    const context = {
+        q,
+        filters,
+        viewerId: req.user?._id,
+        // with type=all every group returns its first page, the client pages on with a single type
+        paging: { cursor, page, limit }
+    }
+
+    const groups = await Promise.all(types.map((name) => SEARCHERS[name](context)))
+
+    const results = {}
+    types.forEach((name, index) => {
+        results[name] = groups[index]
+    })
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { query: q, type, results }, "Search results fetched successfully"))
+})
+
+const getSearchSuggestions = asyncHandler(async (req, res) => {
+    const { q, limit } = req.query
+
+    // Anchored prefix matches, usernames are stored lowercase so that one can use its index
+    const prefix = escapeRegex(q)
+
+    const [videos, channels] = await Promise.all([
+        Video.find({
+            ...publicVideoMatch(),
+            title: { $regex: `^${prefix}`, $options: "i" }
+        })
+            .sort({ views: -1 })
+            .limit(limit)
+            .select("title"),
+        User.find({
+            username: { $regex: `^${escapeRegex(q.toLowerCase())}` }
+        })
+            .limit(limit)
+            .select("username fullName avatar")
+    ])
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { query: q, videos, channels }, "Search suggestions fetched successfully"))
+})
+
+export {
+    search,
+    getSearchSuggestions
+}
@@ -1,9 +1,13 @@
 import mongoose, {isValidObjectId} from "mongoose"
 import {User} from "../models/user.model.js"
 import { Subscription } from "../models/subscription.model.js"
+import {ChannelDailyStats} from "../models/channelDailyStats.model.js"
+import {notify} from "../utils/notifications.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import {paginate} from "../utils/paginate.js"
+import {publicVideoMatch} from "../utils/videoSearch.js"
 
 // Controller to toggle subscription status
 const toggleSubscription = asyncHandler(async (req, res) => {
@@ -44,6 +48,7 @@ const toggleSubscription = asyncHandler(async (req, res) => {
     if (existingSubscription) {
         // Unsubscribe - remove subscription
         await Subscription.findByIdAndDelete(existingSubscription._id)
+        await ChannelDailyStats.increment(channel._id, { unsubscribes: 1 })
         message = "Unsubscribed successfully"
         isSubscribed = false
     } else {
@@ -52,6 +57,14 @@ const toggleSubscription = asyncHandler(async (req, res) => {
             subscriber: req.user?._id,
             channel: channelId
         })
+        await ChannelDailyStats.increment(channel._id, { subscribers: 1 })
+        await notify({
+            recipient: channel._id,
+            type: "subscription",
+            actor: req.user._id,
+            entityType: "User",
+            entity: channel._id
+        })
         message = "Subscribed successfully"
         isSubscribed = true
     }
@@ -76,72 +89,54 @@ const getUserChannelSubscribers = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Channel not found")
     }
     
-    // Get pagination parameters
-    const page = parseInt(req.query.page) || 1
-    const limit = parseInt(req.query.limit) || 10
-    const skip = (page - 1) * limit
+    const { cursor, page, limit } = req.query
     
-    // Aggregation pipeline to get subscribers with their details
-    const subscribers = await Subscription.aggregate([
-        {
-            $match: { channel: new mongoose.Types.ObjectId(channelId) }
-        },
-        {
-            $lookup: {
-                from: "users",
-                localField: "subscriber",
-                foreignField: "_id",
-                as: "subscriberDetails",
-                pipeline: [
-                    {
-                        $project: {
-                            username: 1,
-                            fullName: 1,
-                            avatar: 1
+    // Newest subscribers first, with their details
+    const subscribers = await paginate(Subscription, {
+        match: { channel: new mongoose.Types.ObjectId(channelId) },
+        stages: [
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "subscriber",
+                    foreignField: "_id",
+                    as: "subscriberDetails",
+                    pipeline: [
+                        {
+                            $project: {
+                                username: 1,
+                                fullName: 1,
+                                avatar: 1
+                            }
                         }
-                    }
-                ]
-            }
-        },
-        {
-            $addFields: {
-                subscriber: { $first: "$subscriberDetails" }
-            }
-        },
-        {
-            $project: {
-                subscriberDetails: 0,
-                channel: 0
+                    ]
+                }
+            },
+            {
+                $addFields: {
+                    subscriber: { $first: "$subscriberDetails" }
+                }
+            },
+            {
+                $project: {
+                    subscriberDetails: 0,
+                    channel: 0
+                }
             }
-        },
-        {
-            $sort: { createdAt: -1 }
-        },
-        {
-            $skip: skip
-        },
-        {
-            $limit: limit
-        }
-    ])
-    
-    // Get total count for pagination
-    const totalSubscribers = await Subscription.countDocuments({ channel: channelId })
+        ],
+        cursor,
+        page,
+        limit
+    })
     
     return res.status(200).json(
         new ApiResponse(200, {
-            subscribers,
+            ...subscribers,
             channel: {
                 _id: channel._id,
                 username: channel.username,
                 fullName: channel.fullName,
                 avatar: channel.avatar
-            },
-            pagination: {
-                page,
-                limit,
-                total: totalSubscribers,
-                pages: Math.ceil(totalSubscribers / limit)
             }
         }, "Channel subscribers retrieved successfully")
     )
@@ -162,94 +157,174 @@ const getSubscribedChannels = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Subscriber not found")
     }
     
-    // Get pagination parameters
-    const page = parseInt(req.query.page) || 1
-    const limit = parseInt(req.query.limit) || 10
-    const skip = (page - 1) * limit
+    const { cursor, page, limit } = req.query
+    const subscriberObjectId = new mongoose.Types.ObjectId(subscriberId)
+    // Notification settings and watch state are only shown to the subscriber
+    const isOwnList = subscriberId === req.user?._id.toString()
     
-    // Aggregation pipeline to get subscribed channels with their details
-    const subscribedChannels = await Subscription.aggregate([
-        {
-            $match: { subscriber: new mongoose.Types.ObjectId(subscriberId) }
-        },
+    const ownListStages = [
         {
             $lookup: {
-                from: "users",
+                from: "videos",
                 localField: "channel",
-                foreignField: "_id",
-                as: "channelDetails",
+                foreignField: "owner",
+                let: { subscribedAt: "$createdAt" },
+                as: "unseenVideos",
                 pipeline: [
+                    // uploads since subscribing that the subscriber hasn't watched
                     {
-                        $lookup: {
-                            from: "subscriptions",
-                            localField: "_id",
-                            foreignField: "channel",
-                            as: "subscribers"
+                        $match: {
+                            ...publicVideoMatch(),
+                            $expr: { $gte: ["$createdAt", "$$subscribedAt"] }
                         }
                     },
                     {
-                        $addFields: {
-                            subscribersCount: { $size: "$subscribers" }
+                        $lookup: {
+                            from: "watchhistories",
+                            localField: "_id",
+                            foreignField: "video",
+                            as: "watched",
+                            pipeline: [
+                                { $match: { user: subscriberObjectId } },
+                                { $limit: 1 }
+                            ]
                         }
                     },
-                    {
-                        $project: {
-                            username: 1,
-                            fullName: 1,
-                            avatar: 1,
-                            subscribersCount: 1
-                        }
-                    }
+                    { $match: { "watched.0": { $exists: false } } },
+                    { $count: "count" }
                 ]
             }
         },
         {
             $addFields: {
-                channel: { $first: "$channelDetails" }
-            }
-        },
-        {
-            $project: {
-                channelDetails: 0,
-                subscriber: 0
+                // subscriptions from before notification levels existed get everything
+                notificationLevel: { $ifNull: ["$notificationLevel", "all"] },
+                mutedUntil: { $ifNull: ["$mutedUntil", null] },
+                isMuted: { $gt: ["$mutedUntil", "$$NOW"] },
+                unseenVideosCount: { $ifNull: [{ $first: "$unseenVideos.count" }, 0] }
             }
-        },
-        {
-            $sort: { createdAt: -1 }
-        },
-        {
-            $skip: skip
-        },
-        {
-            $limit: limit
         }
-    ])
+    ]
     
-    // Get total count for pagination
-    const totalSubscriptions = await Subscription.countDocuments({ subscriber: subscriberId })
+    // Most recent subscriptions first, with channel details
+    const subscribedChannels = await paginate(Subscription, {
+        match: { subscriber: subscriberObjectId },
+        stages: [
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "channel",
+                    foreignField: "owner",
+                    as: "latestUpload",
+                    pipeline: [
+                        { $match: publicVideoMatch() },
+                        { $sort: { createdAt: -1 } },
+                        { $limit: 1 },
+                        { $project: { createdAt: 1 } }
+                    ]
+                }
+            },
+            {
+                $addFields: {
+                    latestUploadAt: { $ifNull: [{ $first: "$latestUpload.createdAt" }, null] }
+                }
+            },
+            ...(isOwnList ? ownListStages : []),
+            {
+                $lookup: {
+                    from: "users",
+                    localField: "channel",
+                    foreignField: "_id",
+                    as: "channelDetails",
+                    pipeline: [
+                        {
+                            $lookup: {
+                                from: "subscriptions",
+                                localField: "_id",
+                                foreignField: "channel",
+                                as: "subscribers"
+                            }
+                        },
+                        {
+                            $addFields: {
+                                subscribersCount: { $size: "$subscribers" }
+                            }
+                        },
+                        {
+                            $project: {
+                                username: 1,
+                                fullName: 1,
+                                avatar: 1,
+                                subscribersCount: 1
+                            }
+                        }
+                    ]
+                }
+            },
+            {
+                $addFields: {
+                    channel: { $first: "$channelDetails" }
+                }
+            },
+            {
+                $project: {
+                    channelDetails: 0,
+                    latestUpload: 0,
+                    unseenVideos: 0,
+                    subscriber: 0,
+                    ...(isOwnList ? {} : { notificationLevel: 0, mutedUntil: 0 })
+                }
+            }
+        ],
+        cursor,
+        page,
+        limit
+    })
     
     return res.status(200).json(
         new ApiResponse(200, {
-            subscribedChannels,
+            ...subscribedChannels,
             subscriber: {
                 _id: subscriber._id,
                 username: subscriber.username,
                 fullName: subscriber.fullName,
                 avatar: subscriber.avatar
-            },
-            pagination: {
-                page,
-                limit,
-                total: totalSubscriptions,
-                pages: Math.ceil(totalSubscriptions / limit)
             }
         }, "Subscribed channels retrieved successfully")
     )
 })
 
+// controller to change notification level and mute of a subscription
+const updateSubscription = asyncHandler(async (req, res) => {
+    const { channelId } = req.params
+    const { notificationLevel, mutedUntil } = req.body
+    
+    const update = {}
+    if (notificationLevel !== undefined) update.notificationLevel = notificationLevel
+    if (mutedUntil !== undefined) update.mutedUntil = mutedUntil
+    
+    const subscription = await Subscription.findOneAndUpdate(
+        {
+            subscriber: req.user?._id,
+            channel: channelId
+        },
+        { $set: update },
+        { new: true }
+    ).select("channel notificationLevel mutedUntil createdAt updatedAt")
+    
+    if (!subscription) {
+        throw new ApiError(404, "You are not subscribed to this channel")
+    }
+    
+    return res.status(200).json(
+        new ApiResponse(200, subscription, "Subscription settings updated successfully")
+    )
+})
+
 
 export {
     toggleSubscription,
     getUserChannelSubscribers,
-    getSubscribedChannels
+    getSubscribedChannels,
+    updateSubscription
 }
\ No newline at end of file
@@ -1,18 +1,42 @@
 import mongoose, { isValidObjectId } from "mongoose"
 import {Tweet} from "../models/tweet.model.js"
 import {User} from "../models/user.model.js"
+import {Comment} from "../models/comment.model.js"
+import {Notification} from "../models/notification.model.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
+import {paginate} from "../utils/paginate.js"
+
+const tweetOwnerStages = [
+    {
+        $lookup: {
+            from: "users",
+            localField: "owner",
+            foreignField: "_id",
+            as: "owner",
+            pipeline: [
+                {
+                    $project: {
+                        username: 1,
+                        fullName: 1,
+                        avatar: 1
+                    }
+                }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            owner: { $first: "$owner" }
+        }
+    }
+]
 
 const createTweet = asyncHandler(async (req, res) => {
+    // content is validated and trimmed by tweetContentSchema in tweet.route.js
     const { content } = req.body
     
-    // Validate content
-    if (!content || content.trim().length === 0) {
-        throw new ApiError(400, "Tweet content is required")
-    }
-    
     // Verify user exists and is active
     const user = await User.findById(req.user?._id)
     if (!user) {
@@ -51,66 +75,25 @@ const getUserTweets = asyncHandler(async (req, res) => {
         throw new ApiError(404, "User not found")
     }
     
-    // Get pagination parameters
-    const page = parseInt(req.query.page) || 1
-    const limit = parseInt(req.query.limit) || 10
-    const skip = (page - 1) * limit
-    
-    // Aggregation pipeline to get tweets with pagination
-    const tweets = await Tweet.aggregate([
-        {
-            $match: { owner: new mongoose.Types.ObjectId(userId) }
-        },
-        {
-            $lookup: {
-                from: "users",
-                localField: "owner",
-                foreignField: "_id",
-                as: "owner",
-                pipeline: [
-                    {
-                        $project: {
-                            username: 1,
-                            fullName: 1,
-                            avatar: 1
-                        }
-                    }
-                ]
-            }
-        },
-        {
-            $addFields: {
-                owner: { $first: "$owner" }
-            }
-        },
-        {
-            $sort: { createdAt: -1 }
-        },
-        {
-            $skip: skip
-        },
-        {
-            $limit: limit
-        }
-    ])
+    const { cursor, page, limit } = req.query
     
-    // Get total count for pagination
-    const totalTweets = await Tweet.countDocuments({ owner: userId })
+    // Newest tweets first, owner details only for the returned page
+    const tweets = await paginate(Tweet, {
+        match: { owner: new mongoose.Types.ObjectId(userId) },
+        stages: tweetOwnerStages,
+        cursor,
+        page,
+        limit
+    })
     
     return res.status(200).json(
         new ApiResponse(200, {
-            tweets,
+            ...tweets,
             user: {
                 _id: user._id,
                 username: user.username,
                 fullName: user.fullName,
                 avatar: user.avatar
-            },
-            pagination: {
-                page,
-                limit,
-                total: totalTweets,
-                pages: Math.ceil(totalTweets / limit)
             }
         }, "User tweets retrieved successfully")
     )
@@ -184,8 +167,10 @@ const deleteTweet = asyncHandler(async (req, res) => {
         throw new ApiError(403, "You are not authorized to delete this tweet")
     }
     
-    // Delete tweet
+    // Delete tweet along with its comment threads and notifications
     await Tweet.findByIdAndDelete(tweetId)
+    await Comment.deleteMany({ targetType: "Tweet", target: tweetId })
+    await Notification.deleteMany({ entity: tweetId })
     
     return res.status(200).json(
         new ApiResponse(200, {}, "Tweet deleted successfully")
@@ -193,11 +178,16 @@ const deleteTweet = asyncHandler(async (req, res) => {
 })
 
 const getAllTweets = asyncHandler(async (req, res) => {
-    // This is a simplified example. A real feed would have pagination
-    // and likely only show tweets from users the current user follows.
-    const tweets = await Tweet.find({})
-        .populate("owner", "username fullName avatar")
-        .sort({ createdAt: -1 }); // Get newest tweets first
+    // Every tweet, newest first. The personalised feed of subscribed
+    // channels lives in feed.controller.js (/api/v1/feed)
+    const { cursor, page, limit } = req.query
+
+    const tweets = await paginate(Tweet, {
+        stages: tweetOwnerStages,
+        cursor,
+        page,
+        limit
+    });
 
     return res.status(200).json(
         new ApiResponse(200, tweets, "All tweets fetched successfully")
@@ -0,0 +1,249 @@
+import fs from "fs"
+import { createHash } from "crypto"
+import {UploadSession} from "../models/uploadSession.model.js"
+import {ApiError} from "../utils/ApiError.js"
+import {ApiResponse} from "../utils/ApiResponse.js"
+import {asyncHandler} from "../utils/asyncHandler.js"
+import {writeChunk, assembleChunks, removeChunks} from "../utils/chunkStore.js"
+import {publishVideoFromFiles} from "../utils/videoPublisher.js"
+import {UPLOAD_POLICIES, hasValidSignature} from "../middlewares/multer.middleware.js"
+
+const MB = 1024 * 1024
+const DEFAULT_CHUNK_SIZE = 5 * MB
+const SESSION_TTL_MS = (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000
+
+const nextExpiry = () => new Date(Date.now() + SESSION_TTL_MS)
+
+// Loads a session owned by the current user that can still receive data
+const findActiveSession = async (sessionId, userId) => {
+    const session = await UploadSession.findById(sessionId)
+    if (!session || session.owner.toString() !== userId.toString()) {
+        throw new ApiError(404, "Upload session not found")
+    }
+    if (session.status === "completed") {
+        throw new ApiError(409, "Upload session is already completed")
+    }
+    if (session.isExpired()) {
+        throw new ApiError(410, "Upload session has expired")
+    }
+    return session
+}
+
+// Collapses received chunk indexes into byte ranges, e.g. [{ start: 0, end: 10485759 }]
+const toByteRanges = (session) => {
+    const ranges = []
+    const sortedChunks = [...session.receivedChunks].sort((a, b) => a - b)
+
+    for (const index of sortedChunks) {
+        const start = index * session.chunkSize
+        const end = start + session.expectedChunkSize(index) - 1
+        const lastRange = ranges[ranges.length - 1]
+        if (lastRange && lastRange.end + 1 === start) {
+            lastRange.end = end
+        } else {
+            ranges.push({ start, end })
+        }
+    }
+    return ranges
+}
+
+const formatSession = (session) => {
+    const received = new Set(session.receivedChunks)
+    const missingChunks = []
+    for (let index = 0; index < session.totalChunks; index++) {
+        if (!received.has(index)) missingChunks.push(index)
+    }
+
+    return {
+        _id: session._id,
+        fileName: session.fileName,
+        fileSize: session.fileSize,
+        chunkSize: session.chunkSize,
+        totalChunks: session.totalChunks,
+        receivedChunks: received.size,
+        receivedRanges: toByteRanges(session),
+        missingChunks,
+        status: session.status,
+        video: session.video,
+        expiresAt: session.expiresAt
+    }
+}
+
+const createUploadSession = asyncHandler(async (req, res) => {
+    const { fileName, fileSize, mimeType, chunkSize = DEFAULT_CHUNK_SIZE } = req.body
+
+    const maxSize = UPLOAD_POLICIES.videoFile.maxSize
+    if (fileSize > maxSize) {
+        throw new ApiError(413, `videoFile must be at most ${Math.round(maxSize / MB)}MB`)
+    }
+
+    const session = await UploadSession.create({
+        owner: req.user._id,
+        fileName,
+        mimeType,
+        fileSize,
+        chunkSize,
+        totalChunks: Math.ceil(fileSize / chunkSize),
+        receivedChunks: [],
+        expiresAt: nextExpiry()
+    })
+
+    return res.status(201).json(
+        new ApiResponse(201, formatSession(session), "Upload session created successfully")
+    )
+})
+
+const uploadChunk = asyncHandler(async (req, res) => {
+    const { sessionId, index } = req.params
+    const checksum = req.header("X-Chunk-Checksum")?.toLowerCase()
+
+    const session = await findActiveSession(sessionId, req.user._id)
+    if (session.status !== "active") {
+        throw new ApiError(409, "Upload session is being finalized")
+    }
+
+    if (index >= session.totalChunks) {
+        throw new ApiError(400, `Chunk index must be below ${session.totalChunks}`)
+    }
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+        throw new ApiError(400, "Chunk body is required (Content-Type: application/octet-stream)")
+    }
+
+    const expectedSize = session.expectedChunkSize(index)
+    if (req.body.length !== expectedSize) {
+        throw new ApiError(400, `Chunk ${index} must be exactly ${expectedSize} bytes`)
+    }
+
+    if (!checksum) {
+        throw new ApiError(400, "X-Chunk-Checksum header (sha256 hex) is required")
+    }
+    const actualChecksum = createHash("sha256").update(req.body).digest("hex")
+    if (actualChecksum !== checksum) {
+        throw new ApiError(422, `Checksum mismatch for chunk ${index}, please resend it`)
+    }
+
+    await writeChunk(session._id, index, req.body)
+
+    // re-sending a chunk is allowed and simply overwrites it
+    const updatedSession = await UploadSession.findByIdAndUpdate(
+        session._id,
+        {
+            $addToSet: { receivedChunks: index },
+            $set: { expiresAt: nextExpiry() }
+        },
+        { new: true }
+    )
+
+    return res.status(200).json(
+        new ApiResponse(200, formatSession(updatedSession), `Chunk ${index} received`)
+    )
+})
+
+const getUploadSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params
+
+    const session = await UploadSession.findById(sessionId)
+    if (!session || session.owner.toString() !== req.user._id.toString()) {
+        throw new ApiError(404, "Upload session not found")
+    }
+
+    return res.status(200).json(
+        new ApiResponse(200, formatSession(session), "Upload session fetched successfully")
+    )
+})
+
+const completeUploadSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params
+    const { title, description } = req.body
+    const thumbnailLocalPath = req.file?.path // optional, the processing job grabs a frame otherwise
+
+    const session = await findActiveSession(sessionId, req.user._id)
+    if (session.receivedChunks.length !== session.totalChunks) {
+        throw new ApiError(409, "Upload is incomplete", formatSession(session).missingChunks.map((index) => ({
+            field: "chunks",
+            message: `Chunk ${index} is missing`
+        })))
+    }
+
+    // lock the session so a double submit can't publish the video twice. Assembling takes a
+    // while, so the expiry moves out too and the cleanup job leaves the chunks alone meanwhile
+    const lockedSession = await UploadSession.findOneAndUpdate(
+        { _id: session._id, status: "active", expiresAt: { $gt: new Date() } },
+        { $set: { status: "completing", expiresAt: nextExpiry() } },
+        { new: true }
+    )
+    if (!lockedSession) {
+        throw new ApiError(409, "Upload session is already being finalized")
+    }
+
+    let videoFileLocalPath
+    let isHandedOff = false
+    try {
+        videoFileLocalPath = await assembleChunks(session._id, session.totalChunks, session.fileName)
+
+        const { size } = await fs.promises.stat(videoFileLocalPath)
+        if (size !== session.fileSize) {
+            throw new ApiError(422, "Assembled file size does not match the session")
+        }
+        if (!(await hasValidSignature(videoFileLocalPath, "video"))) {
+            throw new ApiError(415, "videoFile is not a valid video file")
+        }
+
+        const video = await publishVideoFromFiles({
+            owner: req.user._id,
+            title,
+            description,
+            videoFileLocalPath,
+            videoFileMimeType: session.mimeType, // one of the allowed video types, and the signature check passed
+            thumbnailLocalPath,
+            thumbnailMimeType: req.file?.mimetype
+        })
+
+        // the processing job owns the temp files from here on
+        isHandedOff = true
+        if (req.file) req.file.keep = true
+
+        lockedSession.status = "completed"
+        lockedSession.video = video._id
+        await lockedSession.save()
+        await removeChunks(session._id)
+
+        return res.status(202).json(
+            new ApiResponse(202, video, "Video is being processed")
+        )
+    } catch (error) {
+        // release the lock so the client can retry finalizing, unless the video already exists
+        if (!isHandedOff) {
+            await UploadSession.findByIdAndUpdate(session._id, { $set: { status: "active" } })
+            if (videoFileLocalPath) {
+                await fs.promises.rm(videoFileLocalPath, { force: true })
+            }
+        }
+        throw error
+    }
+})
+
+const cancelUploadSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params
+
+    const session = await findActiveSession(sessionId, req.user._id)
+    if (session.status !== "active") {
+        throw new ApiError(409, "Upload session is being finalized")
+    }
+
+    await removeChunks(session._id)
+    await UploadSession.findByIdAndDelete(session._id)
+
+    return res.status(200).json(
+        new ApiResponse(200, {}, "Upload session cancelled")
+    )
+})
+
+export {
+    createUploadSession,
+    uploadChunk,
+    getUploadSession,
+    completeUploadSession,
+    cancelUploadSession
+}
@@ -1,19 +1,33 @@
 import {asyncHandler} from "../utils/asyncHandler.js" ;
 import { ApiError } from "../utils/ApiError.js";
 import { User } from "../models/user.model.js";
-import { uploadOnCloudinary, deleteFromCloudinary } from "../utils/cloudinary.js";
+import { AuditLog } from "../models/auditLog.model.js";
+import { Session } from "../models/session.model.js";
+import { Video } from "../models/video.model.js";
+import { WatchHistory } from "../models/watchHistory.model.js";
+import { uploadFile, deleteFile } from "../utils/storage/index.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
+import { paginate } from "../utils/paginate.js";
+import { subscriberStatsStages } from "../utils/subscriberStats.js";
+import { startSession, rotateSession, revokeSessions } from "../utils/sessions.js";
+import { issueAccountToken, consumeAccountToken } from "../utils/accountTokens.js";
+import { generateTotpSecret, verifyTotp, totpProvisioningUri } from "../utils/totp.js";
+import { generateRecoveryCodes, verifyTwoFactorCode } from "../utils/twoFactor.js";
+import {
+    getLoginRetryAfter,
+    passwordMatches,
+    recordLoginFailure,
+    clearLoginFailures
+} from "../utils/loginThrottle.js";
+import { sendVerificationEmail, sendPasswordResetEmail } from "../utils/accountEmails.js";
 import jwt from "jsonwebtoken";
-import mongoose from "mongoose";
+import mongoose, { isValidObjectId } from "mongoose";
 
-const generateAccessAndRefreshToken = async (userId) => {
+// Starts a new session for the device making req, other devices stay logged in
+const generateAccessAndRefreshToken = async (userId, req) => {
     try {
         const user = await User.findById(userId)
-        const accessToken = user.generateAccessToken()
-        const refreshToken = user.generateRefreshToken()
-
-        user.refreshToken = refreshToken
-        await user.save({validateBeforeSave: false})
+        const {accessToken, refreshToken} = await startSession(user, req)
 
         return {accessToken, refreshToken}
 
@@ -36,13 +50,8 @@ const registerUser = asyncHandler ( async (req,res) => {
     //check for user creation
     // return res
     
+    // fields are validated and trimmed by registerUserSchema in user.route.js
     const{fullName, email, username, password} = req.body
-    //console.log("email: ", email)
-    if (
-        [fullName, email, username, password].some((field)=>field?.trim()==="")
-    ) {
-        throw new ApiError(400,"All fields are required")
-    }
     const userExisted = await User.findOne({
         $or: [{username},{email}]
     })
@@ -56,15 +65,17 @@ const registerUser = asyncHandler ( async (req,res) => {
     //const coverImageLocalPath = req.files?.coverImage[0]?.path;
 
     let coverImageLocalPath;
+    let coverImageMimeType;
     if(req.files && Array.isArray(req.files.coverImage) && req.files.coverImage.length > 0){
         coverImageLocalPath = req.files.coverImage[0].path
+        coverImageMimeType = req.files.coverImage[0].mimetype
     }
 
     if(!avatarLocalPath){
         throw new ApiError(400,"avatar file is required")
     }
-    const avatar = await uploadOnCloudinary(avatarLocalPath)
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath)
+    const avatar = await uploadFile(avatarLocalPath, { mimeType: req.files.avatar[0].mimetype })
+    const coverImage = await uploadFile(coverImageLocalPath, { mimeType: coverImageMimeType })
     if (!avatar) {
         throw new ApiError(400,"Avatar file is required")
     }
@@ -75,23 +86,43 @@ const registerUser = asyncHandler ( async (req,res) => {
         email,
         username: username.toLowerCase(),
         avatar: avatar.url,
-        coverImage: coverImage?.url || ""
+        avatarAsset: avatar.asset,
+        coverImage: coverImage?.url || "",
+        coverImageAsset: coverImage?.asset
     })
 
     const createdUser = await User.findById(user._id).select(
-        "-password -refreshToken"
+        "-password"
     )
     if(!createdUser){
         throw new ApiError(500, "Something went wrong while registering the user")
 
     }
 
+    // publishing stays locked until the link is followed, a failed mail can be resent
+    const isVerificationEmailSent = await sendVerificationEmail(createdUser)
+
     return res.status(201).json(
-        new ApiResponse(200, createdUser, "User registered successfully")
+        new ApiResponse(
+            200,
+            createdUser,
+            isVerificationEmailSent
+                ? "User registered successfully, check your email to verify your address"
+                : "User registered successfully, request a new verification email to verify your address"
+        )
     )
 
 })
 
+// Refuses with 429 and Retry-After while failed passwords or codes keep the account or ip waiting
+const ensureLoginAllowed = async (attempt, res) => {
+    const retryAfterMs = await getLoginRetryAfter(attempt);
+    if (retryAfterMs > 0) {
+        res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+        throw new ApiError(429, "Too many failed login attempts, try again later");
+    }
+};
+
 const loginUser = asyncHandler(async (req, res) => {
     // We expect the frontend to send either 'email' or 'username' in the body
     const { email, username, password } = req.body;
@@ -111,17 +142,35 @@ const loginUser = asyncHandler(async (req, res) => {
         $or: [{ username: loginIdentifier }, { email: loginIdentifier }]
     });
 
-    if (!user) {
-        throw new ApiError(404, "User does not exist");
-    }
+    const attempt = { user, identifier: loginIdentifier, ip: req.ip };
 
-    const isPasswordValid = await user.isPasswordCorrect(password);
+    // delayed or locked out after repeated failures, per account and per ip
+    await ensureLoginAllowed(attempt, res);
+
+    // unknown users and wrong passwords get the same answer, so accounts can't be enumerated
+    const isPasswordValid = await passwordMatches(user, password);
     if (!isPasswordValid) {
-        throw new ApiError(401, "Invalid user credentials");
+        await recordLoginFailure(attempt);
+        throw new ApiError(401, "Invalid credentials");
+    }
+
+    // with 2FA on, the password only earns a short-lived token for the second step
+    if (user.isTwoFactorEnabled) {
+        const loginToken = await issueAccountToken(user, "two_factor_login");
+        return res
+            .status(200)
+            .json(new ApiResponse(200, { twoFactorRequired: true, loginToken }, "Enter the code from your authenticator app"));
     }
 
-    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id);
-    const loggedInUser = await User.findById(user._id).select("-password -refreshToken");
+    await clearLoginFailures(user);
+
+    return await completeLogin(user, req, res);
+});
+
+// Issues the session, cookies and response of a successful login
+const completeLogin = async (user, req, res) => {
+    const { accessToken, refreshToken } = await generateAccessAndRefreshToken(user._id, req);
+    const loggedInUser = await User.findById(user._id).select("-password");
 
     const options = {
         httpOnly: true,
@@ -134,20 +183,40 @@ const loginUser = asyncHandler(async (req, res) => {
         .cookie("accessToken", accessToken, options)
         .cookie("refreshToken", refreshToken, options)
         .json(new ApiResponse(200, { user: loggedInUser, accessToken, refreshToken }, "User logged in successfully"));
+};
+
+// Second login step: the loginToken from the password step plus an app or recovery code.
+// The login token is used up before the code is looked at, so a code (a recovery code
+// especially) is never spent on a login that can't go through anymore
+const verifyTwoFactorLogin = asyncHandler(async (req, res) => {
+    const { loginToken, code } = req.body;
+
+    const pendingLogin = await consumeAccountToken(loginToken, "two_factor_login");
+    const user = pendingLogin && await User.findById(pendingLogin.user);
+    if (!user) {
+        throw new ApiError(401, "Login has expired, log in again");
+    }
+
+    // wrong codes count towards the same lockout as wrong passwords
+    const attempt = { user, identifier: user.username, ip: req.ip };
+    await ensureLoginAllowed(attempt, res);
+
+    const method = await verifyTwoFactorCode(user._id, code);
+    if (!method) {
+        await recordLoginFailure(attempt);
+        throw new ApiError(401, "Invalid code, log in again");
+    }
+
+    await clearLoginFailures(user);
+
+    return await completeLogin(user, req, res);
 });
 
 const logoutUser = asyncHandler(async (req, res) => {
-    await User.findByIdAndUpdate(
-        req.user._id,
-        {
-            $unset: {
-                refreshToken: 1 // this will remove the field from document
-            }
-        },
-        {
-            new: true
-        }
-    );
+    // only this device, tokens from before sessions existed have none to end
+    if (req.sessionId) {
+        await revokeSessions(req.user._id, "logout", { _id: req.sessionId });
+    }
 
     const options = {
         httpOnly: true,
@@ -181,10 +250,8 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
             throw new ApiError(401, "Invalid refresh token")
         }
     
-        if (incomingRefreshToken !== user?.refreshToken) {
-            throw new ApiError(401, "Refresh token is expired or used")
-            
-        }
+        // rotates the session's token, replaying an older one revokes the session
+        const {accessToken, refreshToken} = await rotateSession(user, decodedToken, incomingRefreshToken, req)
     
         const options = {
             httpOnly: true,
@@ -192,8 +259,6 @@ const refreshAccessToken = asyncHandler(async (req, res) => {
             sameSite: "none"
         }
     
-        const {accessToken, refreshToken} = await generateAccessAndRefreshToken(user._id)
-    
         return res
         .status(200)
         .cookie("accessToken", accessToken, options)
@@ -224,11 +289,274 @@ const changeCurrentPassword = asyncHandler(async(req, res) => {
     user.password = newPassword
     await user.save({validateBeforeSave: false})
 
+    // every other device has to log in with the new password
+    await revokeSessions(user._id, "password_change", req.sessionId ? { _id: { $ne: req.sessionId } } : {})
+
     return res
     .status(200)
     .json(new ApiResponse(200, {}, "Password changed successfully"))
 })
 
+// Devices the user is logged in on, most recently used first
+const getSessions = asyncHandler(async (req, res) => {
+    const sessions = await Session.find({
+        user: req.user._id,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    })
+        .sort({ lastUsedAt: -1 })
+        .select("userAgent ip createdAt lastUsedAt expiresAt")
+        .lean()
+
+    const currentSessionId = req.sessionId?.toString()
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        sessions.map((session) => ({
+            ...session,
+            isCurrent: session._id.toString() === currentSessionId
+        })),
+        "Sessions fetched successfully"
+    ))
+})
+
+const revokeSession = asyncHandler(async (req, res) => {
+    const { sessionId } = req.params
+
+    const revoked = await revokeSessions(req.user._id, "revoked", { _id: sessionId })
+    if (!revoked) {
+        throw new ApiError(404, "Session not found")
+    }
+
+    const options = {
+        httpOnly: true,
+        secure: true,
+        sameSite: "none"
+    }
+
+    // revoking this device's own session is a logout
+    if (sessionId === req.sessionId?.toString()) {
+        res.clearCookie("accessToken", options).clearCookie("refreshToken", options)
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Session revoked"))
+})
+
+const logoutAllDevices = asyncHandler(async (req, res) => {
+    const revokedCount = await revokeSessions(req.user._id, "logout_all")
+
+    const options = {
+        httpOnly: true,
+        secure: true,
+        sameSite: "none"
+    }
+
+    return res
+    .status(200)
+    .clearCookie("accessToken", options)
+    .clearCookie("refreshToken", options)
+    .json(new ApiResponse(200, { revokedCount }, "Logged out of all devices"))
+})
+
+const verifyEmail = asyncHandler(async (req, res) => {
+    const { token } = req.body
+
+    const accountToken = await consumeAccountToken(token, "email_verification")
+    if (!accountToken) {
+        throw new ApiError(400, "Verification link is invalid or has expired")
+    }
+
+    const user = await User.findById(accountToken.user)
+    // the address may have changed since the mail was sent
+    if (!user || user.email !== accountToken.email) {
+        throw new ApiError(400, "Verification link is invalid or has expired")
+    }
+
+    user.isEmailVerified = true
+    user.emailVerifiedAt = new Date()
+    await user.save({validateBeforeSave: false})
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { isEmailVerified: true }, "Email verified successfully"))
+})
+
+const resendVerificationEmail = asyncHandler(async (req, res) => {
+    if (req.user.isEmailVerified) {
+        throw new ApiError(400, "Email is already verified")
+    }
+
+    if (!(await sendVerificationEmail(req.user))) {
+        throw new ApiError(503, "Verification email could not be sent, try again later")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Verification email sent"))
+})
+
+const forgotPassword = asyncHandler(async (req, res) => {
+    const { email } = req.body
+
+    const user = await User.findOne({ email })
+    if (user) {
+        // not awaited, so the response time doesn't tell whether the account exists
+        sendPasswordResetEmail(user)
+    }
+
+    // same answer either way, so this can't be used to find out who has an account
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "If an account exists for this email, a password reset link has been sent"))
+})
+
+const resetPassword = asyncHandler(async (req, res) => {
+    const { token, newPassword } = req.body
+
+    const accountToken = await consumeAccountToken(token, "password_reset")
+    const user = accountToken && await User.findById(accountToken.user)
+    if (!user) {
+        throw new ApiError(400, "Reset link is invalid or has expired")
+    }
+
+    user.password = newPassword
+    // following the link proved the address is theirs
+    if (user.email === accountToken.email && !user.isEmailVerified) {
+        user.isEmailVerified = true
+        user.emailVerifiedAt = new Date()
+    }
+    await user.save({validateBeforeSave: false})
+
+    // whoever knew the old password is logged out everywhere, the owner can log in again right away
+    await revokeSessions(user._id, "password_reset")
+    await clearLoginFailures(user)
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Password reset successfully, log in with your new password"))
+})
+
+// First 2FA step: a new secret to add to the authenticator app, active once a code is confirmed
+const setupTwoFactor = asyncHandler(async (req, res) => {
+    if (req.user.isTwoFactorEnabled) {
+        throw new ApiError(409, "Two-factor authentication is already enabled")
+    }
+
+    const secret = generateTotpSecret()
+    await User.findByIdAndUpdate(req.user._id, { $set: { twoFactorPendingSecret: secret } })
+
+    const otpauthUri = totpProvisioningUri({
+        secret,
+        accountName: req.user.email,
+        issuer: process.env.TOTP_ISSUER || "VideoTweet"
+    })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { secret, otpauthUri }, "Scan the code with your authenticator app and confirm with a code"))
+})
+
+const confirmTwoFactor = asyncHandler(async (req, res) => {
+    const { code } = req.body
+
+    const user = await User.findById(req.user._id).select("+twoFactorPendingSecret")
+    if (user.isTwoFactorEnabled) {
+        throw new ApiError(409, "Two-factor authentication is already enabled")
+    }
+    if (!user.twoFactorPendingSecret) {
+        throw new ApiError(400, "Start two-factor setup first")
+    }
+
+    // a stolen access token mustn't be enough to guess codes, so they count like login failures
+    const attempt = { user, identifier: user.username, ip: req.ip }
+    await ensureLoginAllowed(attempt, res)
+
+    const step = verifyTotp(user.twoFactorPendingSecret, code.replace(/\s/g, ""))
+    if (step === null) {
+        await recordLoginFailure(attempt)
+        throw new ApiError(400, "Invalid code")
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+    await User.findByIdAndUpdate(user._id, {
+        $set: {
+            isTwoFactorEnabled: true,
+            twoFactorSecret: user.twoFactorPendingSecret,
+            twoFactorRecoveryCodes: hashes,
+            twoFactorLastUsedStep: step
+        },
+        $unset: { twoFactorPendingSecret: 1 }
+    })
+    await AuditLog.create({ action: "2fa.enabled", actor: user._id, targetUser: user._id, ip: req.ip })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(
+        200,
+        { isTwoFactorEnabled: true, recoveryCodes: codes },
+        "Two-factor authentication enabled, store the recovery codes somewhere safe"
+    ))
+})
+
+// Replaces all recovery codes, the old ones stop working
+const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    const { code } = req.body
+
+    if (!req.user.isTwoFactorEnabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled")
+    }
+
+    // fresh recovery codes take over the second factor, guessing is locked out like at login
+    const attempt = { user: req.user, identifier: req.user.username, ip: req.ip }
+    await ensureLoginAllowed(attempt, res)
+    if (!(await verifyTwoFactorCode(req.user._id, code))) {
+        await recordLoginFailure(attempt)
+        throw new ApiError(400, "Invalid code")
+    }
+
+    const { codes, hashes } = generateRecoveryCodes()
+    await User.findByIdAndUpdate(req.user._id, { $set: { twoFactorRecoveryCodes: hashes } })
+    await AuditLog.create({ action: "2fa.recovery_codes_regenerated", actor: req.user._id, targetUser: req.user._id, ip: req.ip })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { recoveryCodes: codes }, "Recovery codes regenerated"))
+})
+
+const disableTwoFactor = asyncHandler(async (req, res) => {
+    const { password } = req.body
+
+    const user = await User.findById(req.user._id)
+    if (!user.isTwoFactorEnabled) {
+        throw new ApiError(400, "Two-factor authentication is not enabled")
+    }
+    const attempt = { user, identifier: user.username, ip: req.ip }
+    await ensureLoginAllowed(attempt, res)
+    if (!(await user.isPasswordCorrect(password))) {
+        await recordLoginFailure(attempt)
+        throw new ApiError(400, "Invalid password")
+    }
+
+    await User.findByIdAndUpdate(user._id, {
+        $set: { isTwoFactorEnabled: false },
+        $unset: {
+            twoFactorSecret: 1,
+            twoFactorPendingSecret: 1,
+            twoFactorRecoveryCodes: 1,
+            twoFactorLastUsedStep: 1
+        }
+    })
+    await AuditLog.create({ action: "2fa.disabled", actor: user._id, targetUser: user._id, ip: req.ip })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { isTwoFactorEnabled: false }, "Two-factor authentication disabled"))
+})
+
 const getCurrentUser = asyncHandler(async(req, res) => {
     return res
     .status(200)
@@ -246,18 +574,27 @@ const updateAccountDetails = asyncHandler(async(req, res) => {
         throw new ApiError(400, "fullname and description, one is required")
     }
 
+    // a new address has to be verified again
+    const isEmailChanged = Boolean(email) && email !== req.user.email
+
     const user = await User.findByIdAndUpdate(
         req.user?._id,
         {
             $set: {
                 fullName,
-                email: email
-            }
+                email: email,
+                ...(isEmailChanged && { isEmailVerified: false })
+            },
+            ...(isEmailChanged && { $unset: { emailVerifiedAt: 1 } })
         },
         {new: true}
         
     ).select("-password")
 
+    if (isEmailChanged) {
+        await sendVerificationEmail(user)
+    }
+
     return res
     .status(200)
     .json(new ApiResponse(200, user, "Account details updated successfully"))
@@ -269,27 +606,24 @@ const updateUserAvatar = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Avatar file is missing");
     }
 
-    const avatar = await uploadOnCloudinary(avatarLocalPath);
+    const avatar = await uploadFile(avatarLocalPath, { mimeType: req.file.mimetype });
     // This is the important check. We verify the upload was successful AND has a URL.
-    if (!avatar || !avatar.secure_url) {
+    if (!avatar || !avatar.url) {
         throw new ApiError(400, "Error while uploading avatar");
     }
 
-    const oldAvatar = req.user.avatar;
+    const oldAvatarAsset = req.user.avatarAsset;
+    const oldAvatarUrl = req.user.avatar;
 
     const user = await User.findByIdAndUpdate(
         req.user?._id,
-        { $set: { avatar: avatar.secure_url } },
+        { $set: { avatar: avatar.url, avatarAsset: avatar.asset } },
         { new: true }
     ).select("-password");
 
     // Delete the old avatar only after successfully updating the new one.
-    if (oldAvatar) {
-        try {
-            await deleteFromCloudinary(oldAvatar);
-        } catch (e) {
-            console.error("Failed to delete old avatar:", e);
-        }
+    if (oldAvatarAsset || oldAvatarUrl) {
+        await deleteFile(oldAvatarAsset, oldAvatarUrl);
     }
 
     return res.status(200).json(new ApiResponse(200, user, "Avatar image updated successfully"));
@@ -301,27 +635,24 @@ const updateUserCoverImage = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Cover image file is missing");
     }
 
-    const coverImage = await uploadOnCloudinary(coverImageLocalPath);
+    const coverImage = await uploadFile(coverImageLocalPath, { mimeType: req.file.mimetype });
     // This is the important check.
-    if (!coverImage || !coverImage.secure_url) {
+    if (!coverImage || !coverImage.url) {
         throw new ApiError(400, "Error while uploading cover image");
     }
     
-    const oldCoverImage = req.user.coverImage;
+    const oldCoverImageAsset = req.user.coverImageAsset;
+    const oldCoverImageUrl = req.user.coverImage;
 
     const user = await User.findByIdAndUpdate(
         req.user?._id,
-        { $set: { coverImage: coverImage.secure_url } },
+        { $set: { coverImage: coverImage.url, coverImageAsset: coverImage.asset } },
         { new: true }
     ).select("-password");
 
     // Delete the old image only after successfully updating the new one.
-    if (oldCoverImage) {
-        try {
-            await deleteFromCloudinary(oldCoverImage);
-        } catch(e) {
-            console.error("Failed to delete old cover image:", e);
-        }
+    if (oldCoverImageAsset || oldCoverImageUrl) {
+        await deleteFile(oldCoverImageAsset, oldCoverImageUrl);
     }
 
     return res.status(200).json(new ApiResponse(200, user, "Cover image updated successfully"));
@@ -339,14 +670,7 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
                 username: username.toLowerCase()
             }
         },
-        {
-            $lookup: {
-                from: "subscriptions",
-                localField: "_id",
-                foreignField: "channel",
-                as: "subscribers"
-            }
-        },
+        ...subscriberStatsStages(req.user?._id),
         {
             $lookup: {
                 from: "subscriptions",
@@ -357,16 +681,8 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
         },
         {
             $addFields: {
-                subscriberCount: {
-                    $size: "$subscribers"
-                },
                 subscribedToCount: {
                     $size: "$subscribedTo"
-                },
-                isSubscribed: {
-                    if : {$in: [req.user?._id, "$subscribers.subscriber"]},
-                    then: true,
-                    else: false
                 }
             }
         },
@@ -397,67 +713,218 @@ const getUserChannelProfile = asyncHandler(async (req, res) => {
 })
 
 const getWatchHistory = asyncHandler(async (req, res) => {
-    const user = await User.aggregate([
-        {
-            $match: {
-                _id: new mongoose.Types.ObjectId(req.user._id)
-            }
-        },
-        {
-            $lookup: {
-                from: "videos",
-                localField: "watchHistory",
-                foreignField: "_id",
-                as: "watchHistory",
-                pipeline: [
-                    {
-                        $lookup: {
-                            from: "users",
-                            localField: "owner",
-                            foreignField: "_id",
-                            as: "owner",
-                            pipeline: [
-                                {
-                                    $project: {
-                                        fullName: 1,
-                                        username: 1,
-                                        avatar: 1
+    const { cursor, page, limit, inProgress } = req.query
+
+    const matchStage = {
+        user: new mongoose.Types.ObjectId(req.user._id)
+    }
+
+    // "continue watching" row: started but not finished
+    if (inProgress) {
+        matchStage.position = { $gt: 0 }
+        matchStage.completed = false
+    }
+
+    const history = await paginate(WatchHistory, {
+        match: matchStage,
+        sortField: "watchedAt",
+        stages: [
+            {
+                $lookup: {
+                    from: "videos",
+                    localField: "video",
+                    foreignField: "_id",
+                    as: "video",
+                    pipeline: [
+                        {
+                            $lookup: {
+                                from: "users",
+                                localField: "owner",
+                                foreignField: "_id",
+                                as: "owner",
+                                pipeline: [
+                                    {
+                                        $project: {
+                                            fullName: 1,
+                                            username: 1,
+                                            avatar: 1
+                                        }
                                     }
+                                ]
+                            }
+                        },
+                        {
+                            $addFields: {
+                                owner: {
+                                    $first: "$owner"
                                 }
-                            ]
+                            }
+                        },
+                        {
+                            $project: {
+                                title: 1,
+                                description: 1,
+                                thumbnail: 1,
+                                duration: 1,
+                                views: 1,
+                                createdAt: 1,
+                                owner: 1
+                            }
                         }
+                    ]
+                }
+            },
+            {
+                $addFields: {
+                    video: {
+                        $first: "$video"
                     }
-                ]
+                }
+            },
+            {
+                // skip entries whose video has since been deleted
+                $match: {
+                    video: { $ne: null }
+                }
+            },
+            {
+                $project: {
+                    user: 0
+                }
             }
-        },
+        ],
+        cursor,
+        page,
+        limit
+    })
+
+    return res
+    .status(200)
+    .json(
+        new ApiResponse(
+            200,
+            { ...history, isPaused: req.user.isWatchHistoryPaused },
+            "Watch history fetched successfully"
+        )
+    )
+})
+
+const updateWatchProgress = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { position, completed } = req.body
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    if (req.user.isWatchHistoryPaused) {
+        throw new ApiError(409, "Watch history is paused")
+    }
+
+    const video = await Video.findById(videoId)
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    const entry = await WatchHistory.findOneAndUpdate(
+        { user: req.user._id, video: videoId },
         {
-            $addFields: {
-                owner: {
-                    $first: "$owner"
-                }
+            $set: {
+                position,
+                completed,
+                watchedAt: new Date()
             }
-        }
-    ])
+        },
+        { upsert: true, new: true }
+    )
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, entry, "Watch progress updated successfully"))
+})
+
+const removeFromWatchHistory = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    if (!isValidObjectId(videoId)) {
+        throw new ApiError(400, "Invalid videoId")
+    }
+
+    const entry = await WatchHistory.findOneAndDelete({
+        user: req.user._id,
+        video: videoId
+    })
+
+    if (!entry) {
+        throw new ApiError(404, "Video is not in watch history")
+    }
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, {}, "Video removed from watch history"))
+})
+
+const clearWatchHistory = asyncHandler(async (req, res) => {
+    const { deletedCount } = await WatchHistory.deleteMany({ user: req.user._id })
+
+    return res
+    .status(200)
+    .json(new ApiResponse(200, { deletedCount }, "Watch history cleared successfully"))
+})
+
+const toggleWatchHistoryPause = asyncHandler(async (req, res) => {
+    const { paused } = req.body
+
+    // explicit value wins, otherwise flip the current state
+    const isWatchHistoryPaused = typeof paused === "boolean"
+        ? paused
+        : !req.user.isWatchHistoryPaused
+
+    const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $set: { isWatchHistoryPaused } },
+        { new: true }
+    ).select("-password")
 
     return res
     .status(200)
     .json(
-        new ApiResponse(200, user, "Watch history fetched successfully")
+        new ApiResponse(
+            200,
+            { isWatchHistoryPaused: user.isWatchHistoryPaused },
+            isWatchHistoryPaused ? "Watch history paused" : "Watch history resumed"
+        )
     )
 })
                 
 
 export {registerUser,
     loginUser,
+    verifyTwoFactorLogin,
     logoutUser,
     refreshAccessToken,
     changeCurrentPassword,
+    getSessions,
+    revokeSession,
+    logoutAllDevices,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    setupTwoFactor,
+    confirmTwoFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
     getCurrentUser,
     updateAccountDetails,
     updateUserAvatar,
     updateUserCoverImage,
     getUserChannelProfile,
-    getWatchHistory
+    getWatchHistory,
+    updateWatchProgress,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    toggleWatchHistoryPause
 }
 
 
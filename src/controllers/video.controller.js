@@ -1,41 +1,28 @@
 import mongoose, {isValidObjectId} from "mongoose"
 import {Video} from "../models/video.model.js"
 import {User} from "../models/user.model.js"
+import {WatchHistory} from "../models/watchHistory.model.js"
+import {Job} from "../models/job.model.js"
+import {Notification} from "../models/notification.model.js"
 import {ApiError} from "../utils/ApiError.js"
 import {ApiResponse} from "../utils/ApiResponse.js"
 import {asyncHandler} from "../utils/asyncHandler.js"
-import {uploadOnCloudinary, deleteFromCloudinary} from "../utils/cloudinary.js"
+import {uploadFile, deleteFile} from "../utils/storage/index.js"
+import {publishVideoFromFiles} from "../utils/videoPublisher.js"
+import {paginate} from "../utils/paginate.js"
+import {buildVideoSearch, publicVideoMatch} from "../utils/videoSearch.js"
+import {getTrendingRanking, getRelatedRanking} from "../utils/discovery.js"
+import {recordVideoView} from "../utils/viewCounter.js"
 
 const getAllVideos = asyncHandler(async (req, res) => {
 
-    const { page = 1, limit = 10, query, sortBy, sortType, userId } = req.query
+    const { cursor, page, limit, ...filters } = req.query
     
-    // Build aggregation pipeline
-    const pipeline = []
-    
-    // Match stage for filtering
-    const matchStage = {}
-    
-    // If userId is provided, filter by owner
-    if (userId) {
-        if (!isValidObjectId(userId)) {
-            throw new ApiError(400, "Invalid userId")
-        }
-        matchStage.owner = new mongoose.Types.ObjectId(userId)
-    }
-    
-    // If query is provided, search in title and description
-    if (query) {
-        matchStage.$or = [
-            { title: { $regex: query, $options: "i" } },
-            { description: { $regex: query, $options: "i" } }
-        ]
-    }
-    
-    // Only show published videos
-    matchStage.isPublished = true
+    // Text search, filters and sort field
+    const search = buildVideoSearch(filters)
     
-    pipeline.push({ $match: matchStage })
+    // Stages applied to the returned page only
+    const pipeline = []
     
     // Lookup stage to populate owner details
     pipeline.push({
@@ -63,34 +50,22 @@ const getAllVideos = asyncHandler(async (req, res) => {
         }
     })
     
-    // Sort stage
-    const sortStage = {}
-    if (sortBy && sortType) {
-        sortStage[sortBy] = sortType === "desc" ? -1 : 1
-    } else {
-        sortStage.createdAt = -1 // Default sort by creation date
-    }
-    
-    pipeline.push({ $sort: sortStage })
-    
-    // Remove ownerDetails field
+    // Remove ownerDetails and the storage internals
     pipeline.push({
         $project: {
-            ownerDetails: 0
+            ownerDetails: 0,
+            videoFileAsset: 0,
+            thumbnailAsset: 0
         }
     })
     
-    // Pagination
-    const pageNumber = parseInt(page, 10)
-    const limitNumber = parseInt(limit, 10)
-    
-    const videos = await Video.aggregatePaginate(
-        Video.aggregate(pipeline),
-        {
-            page: pageNumber,
-            limit: limitNumber
-        }
-    )
+    const videos = await paginate(Video, {
+        ...search,
+        stages: pipeline,
+        cursor,
+        page,
+        limit
+    })
     
     return res
         .status(200)
@@ -104,45 +79,30 @@ const publishAVideo = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Title and description are required");
     }
 
-    const videoFileLocalPath = req.files?.videoFile?.[0]?.path;
-    const thumbnailLocalPath = req.files?.thumbnail?.[0]?.path;
+    const videoFileUpload = req.files?.videoFile?.[0];
+    const thumbnailUpload = req.files?.thumbnail?.[0]; // optional, the processing job grabs a frame otherwise
 
-    if (!videoFileLocalPath) {
+    if (!videoFileUpload) {
         throw new ApiError(400, "Video file is required");
     }
-    if (!thumbnailLocalPath) {
-        throw new ApiError(400, "Thumbnail is required");
-    }
-
-    const videoFile = await uploadOnCloudinary(videoFileLocalPath);
-    const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
-
-    if (!videoFile) {
-        throw new ApiError(500, "Video file upload failed");
-    }
-    if (!thumbnail) {
-        throw new ApiError(500, "Thumbnail upload failed");
-    }
 
-    // Always use secure_url for both video and thumbnail
-    const video = await Video.create({
+    const video = await publishVideoFromFiles({
+        owner: req.user?._id,
         title,
         description,
-        duration: videoFile.duration,
-        videoFile: videoFile.secure_url,
-        thumbnail: thumbnail.secure_url,
-        views: 0,
-        owner: req.user?._id,
-        isPublished: true // default to published for simplicity
+        videoFileLocalPath: videoFileUpload.path,
+        videoFileMimeType: videoFileUpload.mimetype,
+        thumbnailLocalPath: thumbnailUpload?.path,
+        thumbnailMimeType: thumbnailUpload?.mimetype
     });
 
-    if (!video) {
-        throw new ApiError(500, "Video upload failed please try again");
-    }
+    // the processing job owns the temp files from here on
+    videoFileUpload.keep = true;
+    if (thumbnailUpload) thumbnailUpload.keep = true;
 
     return res
-        .status(201)
-        .json(new ApiResponse(201, video, "Video uploaded successfully"));
+        .status(202)
+        .json(new ApiResponse(202, video, "Video is being processed"));
 });
 
 const getVideoById = asyncHandler(async (req, res) => {
@@ -241,7 +201,8 @@ const getVideoById = asyncHandler(async (req, res) => {
                 duration: 1,
                 owner: 1,
                 likesCount: 1,
-                isLiked: 1
+                isLiked: 1,
+                status: 1
             }
         }
     ])
@@ -250,16 +211,29 @@ const getVideoById = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Video does not exist")
     }
     
-    // Increment views if user is authenticated and is not the owner
-    const videoDoc = await Video.findById(videoId);
-    if (req.user && videoDoc.owner.toString() !== req.user._id.toString()) {
-        videoDoc.views += 1;
-        await videoDoc.save({ validateBeforeSave: false });
+    // Videos still processing (or failed) are only visible to their owner
+    const isReady = !video[0].status || video[0].status === "ready"
+    if (!isReady) {
+        if (video[0].owner?._id.toString() !== req.user?._id.toString()) {
+            throw new ApiError(404, "Video does not exist")
+        }
+        return res
+            .status(200)
+            .json(new ApiResponse(200, { ...video[0], resumePosition: 0 }, "Video details fetched successfully"))
+    }
+    
+    // Views are counted separately by addVideoView once the viewer actually watched
+    
+    // Record the view in the user's watch history unless they paused it
+    let resumePosition = 0
+    if (req.user && !req.user.isWatchHistoryPaused) {
+        const historyEntry = await WatchHistory.recordView(req.user._id, videoId)
+        resumePosition = historyEntry.completed ? 0 : historyEntry.position
     }
     
     return res
         .status(200)
-        .json(new ApiResponse(200, video[0], "Video details fetched successfully"))
+        .json(new ApiResponse(200, { ...video[0], resumePosition }, "Video details fetched successfully"))
 })
 
 const updateVideo = asyncHandler(async (req, res) => {
@@ -285,21 +259,19 @@ const updateVideo = asyncHandler(async (req, res) => {
     if (description) updateData.description = description;
 
     if (thumbnailLocalPath) {
+        const oldThumbnailAsset = video.thumbnailAsset;
         const oldThumbnailUrl = video.thumbnail;
-        const thumbnail = await uploadOnCloudinary(thumbnailLocalPath);
-        if (!thumbnail.secure_url) {
+        const thumbnail = await uploadFile(thumbnailLocalPath, { mimeType: req.file.mimetype });
+        if (!thumbnail?.url) {
             throw new ApiError(400, "Error while uploading thumbnail");
         }
         // --- CRITICAL FIX ---
-        updateData.thumbnail = thumbnail.secure_url;
+        updateData.thumbnail = thumbnail.url;
+        updateData.thumbnailAsset = thumbnail.asset;
         
         // Delete old thumbnail after updating the document
-        if (oldThumbnailUrl) {
-            try {
-                await deleteFromCloudinary(oldThumbnailUrl);
-            } catch (error) {
-                console.error("Failed to delete old thumbnail:", error);
-            }
+        if (oldThumbnailAsset || oldThumbnailUrl) {
+            await deleteFile(oldThumbnailAsset, oldThumbnailUrl);
         }
     }
 
@@ -338,27 +310,11 @@ const deleteVideo = asyncHandler(async (req, res) => {
         throw new ApiError(400, "You can't delete this video as you are not the owner")
     }
 
-    // Delete video file from Cloudinary using URL
-    if (video.videoFile) {
-        try {
-            await deleteFromCloudinary(video.videoFile)
-            console.log("Video file deleted from Cloudinary")
-        } catch (error) {
-            console.error("Failed to delete video file from Cloudinary:", error)
-            // Don't throw error here - continue with database deletion
-        }
-    }
-    
-    // Delete thumbnail from Cloudinary using URL
-    if (video.thumbnail) {
-        try {
-            await deleteFromCloudinary(video.thumbnail)
-            console.log("Thumbnail deleted from Cloudinary")
-        } catch (error) {
-            console.error("Failed to delete thumbnail from Cloudinary:", error)
-            // Don't throw error here - continue with database deletion
-        }
-    }
+    // Delete video file and thumbnail from storage using the stored asset ids, or their urls
+    // for videos uploaded before those were kept.
+    // deleteFile never throws, so a storage failure doesn't block database deletion
+    await deleteFile(video.videoFileAsset, video.videoFile)
+    await deleteFile(video.thumbnailAsset, video.thumbnail)
     
     // Delete video
     const videoDeleted = await Video.findByIdAndDelete(video?._id)
@@ -367,11 +323,48 @@ const deleteVideo = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Failed to delete the video please try again")
     }
     
+    // Drop the video from everyone's watch history and notifications
+    await WatchHistory.deleteMany({ video: video._id })
+    await Notification.deleteMany({ entity: video._id })
+    
     return res
         .status(200)
         .json(new ApiResponse(200, {}, "Video deleted successfully"))
 })
 
+const getVideoStatus = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+
+    const video = await Video.findById(videoId).select("owner status processingError duration")
+    if (!video) {
+        throw new ApiError(404, "Video not found")
+    }
+
+    if (video.owner.toString() !== req.user?._id.toString()) {
+        throw new ApiError(403, "You can't view the status of this video as you are not the owner")
+    }
+
+    const job = await Job.findOne({ "payload.videoId": videoId })
+        .sort({ createdAt: -1 })
+        .select("status attempts maxAttempts lastError runAt")
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                {
+                    _id: video._id,
+                    status: video.status,
+                    processingError: video.processingError,
+                    duration: video.duration,
+                    job
+                },
+                "Video status fetched successfully"
+            )
+        )
+})
+
 const togglePublishStatus = asyncHandler(async (req, res) => {
     const { videoId } = req.params
     
@@ -392,6 +385,11 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
         throw new ApiError(400, "You can't toggle publish status of this video as you are not the owner")
     }
     
+    // Unpublishing is always allowed, publishing needs a verified email
+    if (!video.isPublished && !req.user?.isEmailVerified) {
+        throw new ApiError(403, "Verify your email address before publishing videos")
+    }
+    
     // Toggle publish status
     video.isPublished = !video.isPublished;
     await video.save({ validateBeforeSave: false });
@@ -407,11 +405,116 @@ const togglePublishStatus = asyncHandler(async (req, res) => {
         )
 })
 
+// Loads the ranked videos with their owners, in ranking order.
+// Videos unpublished or deleted since the ranking was computed drop out
+const loadRankedVideos = async (ranking, limit) => {
+    const ranked = ranking.slice(0, limit)
+    const videos = await Video.aggregate([
+        {
+            $match: {
+                _id: { $in: ranked.map((entry) => new mongoose.Types.ObjectId(entry.video)) },
+                ...publicVideoMatch()
+            }
+        },
+        {
+            $lookup: {
+                from: "users",
+                localField: "owner",
+                foreignField: "_id",
+                as: "owner",
+                pipeline: [
+                    {
+                        $project: {
+                            username: 1,
+                            fullName: 1,
+                            avatar: 1
+                        }
+                    }
+                ]
+            }
+        },
+        {
+            $addFields: {
+                owner: { $first: "$owner" }
+            }
+        },
+        {
+            $project: {
+                videoFileAsset: 0,
+                thumbnailAsset: 0
+            }
+        }
+    ])
+
+    const videosById = new Map(videos.map((video) => [video._id.toString(), video]))
+    return ranked
+        .filter((entry) => videosById.has(entry.video.toString()))
+        .map((entry) => ({ ...videosById.get(entry.video.toString()), score: entry.score }))
+}
+
+const addVideoView = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { watchedSeconds } = req.body
+
+    const video = await Video.findById(videoId).select("owner duration status")
+    if (!video || (video.status && video.status !== "ready")) {
+        throw new ApiError(404, "Video does not exist")
+    }
+
+    const { counted, reason, views: countedViews } = await recordVideoView(video, req.viewer, watchedSeconds)
+    // a view that didn't count leaves the count as it was
+    const views = counted ? countedViews : (await Video.findById(videoId).select("views").lean()).views
+
+    return res
+        .status(200)
+        .json(
+            new ApiResponse(
+                200,
+                { counted, reason, views },
+                counted ? "View recorded successfully" : "View not counted"
+            )
+        )
+})
+
+const getTrendingVideos = asyncHandler(async (req, res) => {
+    const { limit } = req.query
+
+    // served from the discovery cache, recomputed by jobs/discoveryRefresh.job.js
+    const ranking = await getTrendingRanking()
+    const videos = await loadRankedVideos(ranking.videos, limit)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { videos, computedAt: ranking.computedAt }, "Trending videos fetched successfully"))
+})
+
+const getRelatedVideos = asyncHandler(async (req, res) => {
+    const { videoId } = req.params
+    const { limit } = req.query
+
+    const video = await Video.findById(videoId).select("title description owner status")
+    // Videos still processing (or failed) have nothing to relate to
+    if (!video || (video.status && video.status !== "ready")) {
+        throw new ApiError(404, "Video does not exist")
+    }
+
+    const ranking = await getRelatedRanking(video)
+    const videos = await loadRankedVideos(ranking.videos, limit)
+
+    return res
+        .status(200)
+        .json(new ApiResponse(200, { videos, computedAt: ranking.computedAt }, "Related videos fetched successfully"))
+})
+
 export {
     getAllVideos,
     publishAVideo,
     getVideoById,
     updateVideo,
     deleteVideo,
-    togglePublishStatus
-}
\ No newline at end of file
+    getVideoStatus,
+    togglePublishStatus,
+    addVideoView,
+    getTrendingVideos,
+    getRelatedVideos
+}
@@ -0,0 +1,42 @@
+import { User } from "../models/user.model.js";
+
+// One-off data fixes for documents written by older versions. Each must be safe to run
+// again, they run on every start and only touch documents that still need them.
+const migrations = [
+    {
+        // accounts from before email verification existed were never asked to verify,
+        // they keep publishing. Newer accounts always store the field, so aren't matched
+        name: "verify-existing-users",
+        async up() {
+            const result = await User.updateMany(
+                { isEmailVerified: { $exists: false } },
+                { $set: { isEmailVerified: true } }
+            )
+            return result.modifiedCount
+        }
+    },
+    {
+        // refresh tokens live hashed on sessions now, the plain one kept on older users
+        // would otherwise be loaded and returned with the user
+        name: "drop-user-refresh-tokens",
+        async up() {
+            const result = await User.updateMany(
+                { refreshToken: { $exists: true } },
+                { $unset: { refreshToken: "" } },
+                { strict: false }
+            )
+            return result.modifiedCount
+        }
+    }
+]
+
+const runMigrations = async () => {
+    for (const migration of migrations) {
+        const changed = await migration.up()
+        if (changed) {
+            console.log(`Migration ${migration.name}: updated ${changed} documents`);
+        }
+    }
+}
+
+export default runMigrations
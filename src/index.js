@@ -1,13 +1,27 @@
 import dotenv from "dotenv";
 import connectDB from "./db/index.js";
+import runMigrations from "./db/migrations.js";
+import { assertMailConfigured } from "./utils/mailer/index.js";
 import {app} from './app.js'
+import { startUploadSessionCleanup } from "./jobs/uploadSessionCleanup.job.js";
+import { startJobWorker } from "./jobs/queue.js";
+import { startDiscoveryRefresh } from "./jobs/discoveryRefresh.job.js";
+import "./jobs/videoProcessing.job.js"; // registers the video processing handler
+import "./jobs/newVideoNotification.job.js"; // registers the upload notification handler
 
 dotenv.config({
     path: './.env'
 })
 
+// fails fast instead of leaking tokens through a development-only mail driver
+assertMailConfigured()
+
 connectDB()
+.then(runMigrations)
 .then(() => {
+    startUploadSessionCleanup()
+    startJobWorker()
+    startDiscoveryRefresh()
     app.listen(process.env.PORT || 8000, () => {
         console.log(`Server is running on port : ${process.env.PORT}`);
     })
@@ -0,0 +1,49 @@
+import { Video } from "../models/video.model.js"
+import { DiscoveryCache } from "../models/discoveryCache.model.js"
+import { TRENDING_KEY, refreshTrending, refreshRelated } from "../utils/discovery.js"
+
+const REFRESH_INTERVAL_MS = (Number(process.env.DISCOVERY_REFRESH_MINUTES) || 15) * 60 * 1000
+const RELATED_IDLE_MS = 24 * 60 * 60 * 1000 // related lists nobody asked for in this long are dropped
+const RELATED_BATCH_SIZE = 100
+
+// Recomputes trending and the stale related lists that are still being requested
+const refreshDiscoveryCache = async () => {
+    await refreshTrending()
+
+    await DiscoveryCache.deleteMany({
+        key: { $ne: TRENDING_KEY },
+        lastRequestedAt: { $lt: new Date(Date.now() - RELATED_IDLE_MS) }
+    })
+
+    const staleEntries = await DiscoveryCache.find({
+        key: { $ne: TRENDING_KEY },
+        computedAt: { $lt: new Date(Date.now() - REFRESH_INTERVAL_MS) }
+    })
+        .sort({ computedAt: 1 })
+        .limit(RELATED_BATCH_SIZE)
+        .select("key")
+
+    for (const entry of staleEntries) {
+        const videoId = entry.key.split(":")[1]
+        const video = await Video.findById(videoId).select("title description owner status")
+        if (!video || (video.status && video.status !== "ready")) {
+            await DiscoveryCache.deleteOne({ _id: entry._id })
+            continue
+        }
+        await refreshRelated(video)
+    }
+
+    return staleEntries.length
+}
+
+const startDiscoveryRefresh = () => {
+    const run = () => refreshDiscoveryCache().catch((error) => {
+        console.error("Discovery cache refresh failed:", error)
+    })
+
+    run()
+    // unref so the timer never keeps the process alive on shutdown
+    setInterval(run, REFRESH_INTERVAL_MS).unref()
+}
+
+export { refreshDiscoveryCache, startDiscoveryRefresh }
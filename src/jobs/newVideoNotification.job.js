@@ -0,0 +1,18 @@
+import { Video } from "../models/video.model.js"
+import { notifySubscribersOfUpload } from "../utils/notifications.js"
+import { registerJobHandler } from "./queue.js"
+
+const NEW_VIDEO_NOTIFICATION_JOB = "notification.newVideo"
+
+// Fans a finished upload out to the channel's subscribers, queued by the processing job
+const notifyNewVideo = async (job) => {
+    const video = await Video.findById(job.payload.videoId).select("owner isPublished status")
+    // deleted or unpublished before the job ran
+    if (!video || !video.isPublished || video.status !== "ready") return
+
+    await notifySubscribersOfUpload(video)
+}
+
+registerJobHandler(NEW_VIDEO_NOTIFICATION_JOB, notifyNewVideo)
+
+export { NEW_VIDEO_NOTIFICATION_JOB }
@@ -0,0 +1,106 @@
+import os from "os"
+import { Job } from "../models/job.model.js"
+
+const POLL_INTERVAL_MS = Number(process.env.JOB_POLL_INTERVAL_MS) || 2000
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000 // a running job older than this is assumed to be from a crashed worker
+const RETRY_BASE_DELAY_MS = 30 * 1000
+const HOST = os.hostname()
+
+const handlers = new Map()
+
+// handler: async (job) => void, onFailure: async (job, error) => void once retries are exhausted
+const registerJobHandler = (type, handler, { onFailure } = {}) => {
+    handlers.set(type, { handler, onFailure })
+}
+
+const enqueueJob = async (type, payload, { maxAttempts = 3, pinToHost = false } = {}) => {
+    return await Job.create({
+        type,
+        payload,
+        maxAttempts,
+        host: pinToHost ? HOST : undefined
+    })
+}
+
+const claimNextJob = async () => {
+    const now = new Date()
+    return await Job.findOneAndUpdate(
+        {
+            type: { $in: [...handlers.keys()] },
+            $and: [
+                {
+                    $or: [
+                        { status: "queued", runAt: { $lte: now } },
+                        { status: "running", lockedAt: { $lte: new Date(now.getTime() - LOCK_TIMEOUT_MS) } }
+                    ]
+                },
+                {
+                    $or: [{ host: null }, { host: HOST }]
+                }
+            ]
+        },
+        {
+            $set: { status: "running", lockedAt: now },
+            $inc: { attempts: 1 }
+        },
+        { sort: { runAt: 1 }, new: true }
+    )
+}
+
+const runJob = async (job) => {
+    const { handler, onFailure } = handlers.get(job.type)
+    try {
+        await handler(job)
+        await Job.updateOne(
+            { _id: job._id },
+            { $set: { status: "completed", completedAt: new Date() }, $unset: { lockedAt: 1 } }
+        )
+    } catch (error) {
+        const isFinalAttempt = job.attempts >= job.maxAttempts
+        console.error(`Job ${job.type} ${job._id} failed (attempt ${job.attempts}/${job.maxAttempts}):`, error)
+
+        await Job.updateOne(
+            { _id: job._id },
+            {
+                $set: {
+                    status: isFinalAttempt ? "failed" : "queued",
+                    lastError: error?.message || String(error),
+                    // exponential backoff: 30s, 60s, 120s...
+                    runAt: new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (job.attempts - 1))
+                },
+                $unset: { lockedAt: 1 }
+            }
+        )
+
+        if (isFinalAttempt && onFailure) {
+            await onFailure(job, error).catch((failureError) => {
+                console.error(`onFailure for job ${job._id} failed:`, failureError)
+            })
+        }
+    }
+}
+
+// Runs jobs one at a time; drains the queue before waiting for the next poll
+const startJobWorker = () => {
+    let isRunning = false
+
+    const poll = async () => {
+        if (isRunning) return
+        isRunning = true
+        try {
+            let job
+            while ((job = await claimNextJob())) {
+                await runJob(job)
+            }
+        } catch (error) {
+            console.error("Job worker poll failed:", error)
+        } finally {
+            isRunning = false
+        }
+    }
+
+    poll()
+    setInterval(poll, POLL_INTERVAL_MS).unref()
+}
+
+export { registerJobHandler, enqueueJob, startJobWorker }
@@ -0,0 +1,39 @@
+import { UploadSession } from "../models/uploadSession.model.js"
+import { removeChunks } from "../utils/chunkStore.js"
+
+const CLEANUP_INTERVAL_MS = 15 * 60 * 1000
+
+// Deletes expired upload sessions together with the chunks they left on disk.
+// Finalizing pushes a session's expiry out by a full TTL, so a session being assembled
+// isn't expired, while one left "completing" by a crash still goes eventually
+const sweepExpiredUploadSessions = async () => {
+    const expiredSessions = await UploadSession.find({
+        expiresAt: { $lte: new Date() }
+    }).select("_id")
+
+    let swept = 0
+    for (const session of expiredSessions) {
+        // deleted first and only while still expired, a session locked for finalizing since keeps its chunks
+        const deleted = await UploadSession.deleteOne({
+            _id: session._id,
+            expiresAt: { $lte: new Date() }
+        })
+        if (!deleted.deletedCount) continue
+        await removeChunks(session._id)
+        swept++
+    }
+
+    return swept
+}
+
+const startUploadSessionCleanup = () => {
+    const run = () => sweepExpiredUploadSessions().catch((error) => {
+        console.error("Upload session cleanup failed:", error)
+    })
+
+    run()
+    // unref so the timer never keeps the process alive on shutdown
+    setInterval(run, CLEANUP_INTERVAL_MS).unref()
+}
+
+export { sweepExpiredUploadSessions, startUploadSessionCleanup }
@@ -0,0 +1,122 @@
+import fs from "fs"
+import { Video } from "../models/video.model.js"
+import { uploadFile, deleteFile } from "../utils/storage/index.js"
+import { getVideoDuration, extractThumbnail } from "../utils/videoMetadata.js"
+import { registerJobHandler, enqueueJob } from "./queue.js"
+import { NEW_VIDEO_NOTIFICATION_JOB } from "./newVideoNotification.job.js"
+
+const VIDEO_PROCESSING_JOB = "video.process"
+
+const removeLocalFile = async (filePath) => {
+    if (filePath) {
+        await fs.promises.rm(filePath, { force: true })
+    }
+}
+
+// Applies an update unless the owner deleted the video meanwhile, in which
+// case anything we just pushed to storage is removed again
+const updateVideoOrDiscard = async (videoId, update, uploadedAsset) => {
+    const video = await Video.findByIdAndUpdate(videoId, update, { new: true })
+    if (!video && uploadedAsset) {
+        await deleteFile(uploadedAsset)
+    }
+    return video
+}
+
+// Every step checks what an earlier attempt already finished, so retries are safe
+const processVideo = async (job) => {
+    const { videoId, videoFileLocalPath, thumbnailLocalPath } = job.payload
+    // jobs queued before the mime types were passed along only hold files already checked as video and image
+    const { videoFileMimeType = "video/mp4", thumbnailMimeType = "image/jpeg" } = job.payload
+    // a frame grabbed from the video is kept next to it so retries reuse it
+    const generatedThumbnailPath = `${videoFileLocalPath}.thumbnail.jpg`
+
+    let video = await Video.findById(videoId)
+    if (!video) {
+        // deleted while queued
+        await Promise.all([videoFileLocalPath, thumbnailLocalPath, generatedThumbnailPath].map(removeLocalFile))
+        return
+    }
+
+    video = await updateVideoOrDiscard(videoId, { $set: { status: "processing" } })
+    if (!video) return
+
+    // metadata extraction and thumbnail fallback need the local file
+    let thumbnailPath = thumbnailLocalPath
+    let thumbnailPathMimeType = thumbnailMimeType
+    if (!video.videoFileAsset) {
+        const duration = await getVideoDuration(videoFileLocalPath)
+        if (duration !== null) {
+            video = await updateVideoOrDiscard(videoId, { $set: { duration: Math.round(duration * 100) / 100 } })
+            if (!video) return
+        }
+
+        if (!thumbnailPath && !video.thumbnailAsset) {
+            thumbnailPathMimeType = "image/jpeg"
+            thumbnailPath = fs.existsSync(generatedThumbnailPath)
+                ? generatedThumbnailPath
+                : await extractThumbnail(videoFileLocalPath, generatedThumbnailPath)
+        }
+    }
+
+    video = await updateVideoOrDiscard(videoId, { $set: { status: "uploading" } })
+    if (!video) return
+
+    if (!video.videoFileAsset) {
+        const uploadedVideo = await uploadFile(videoFileLocalPath, { mimeType: videoFileMimeType, keepOnFailure: true })
+        if (!uploadedVideo) {
+            throw new Error("Video file upload failed")
+        }
+
+        const update = { videoFile: uploadedVideo.url, videoFileAsset: uploadedVideo.asset }
+        // fall back to the duration reported by storage if we couldn't read it locally
+        if (!video.duration && uploadedVideo.duration) {
+            update.duration = uploadedVideo.duration
+        }
+        video = await updateVideoOrDiscard(videoId, { $set: update }, uploadedVideo.asset)
+        if (!video) return
+    }
+
+    if (thumbnailPath && !video.thumbnailAsset) {
+        const uploadedThumbnail = await uploadFile(thumbnailPath, { mimeType: thumbnailPathMimeType, keepOnFailure: true })
+        if (!uploadedThumbnail) {
+            throw new Error("Thumbnail upload failed")
+        }
+        video = await updateVideoOrDiscard(
+            videoId,
+            { $set: { thumbnail: uploadedThumbnail.url, thumbnailAsset: uploadedThumbnail.asset } },
+            uploadedThumbnail.asset
+        )
+        if (!video) return
+    }
+
+    const thumbnail = video.thumbnail || process.env.DEFAULT_THUMBNAIL_URL || ""
+    video = await updateVideoOrDiscard(videoId, {
+        $set: { status: "ready", thumbnail },
+        $unset: { processingError: 1 }
+    })
+    if (!video) return
+
+    // subscribers hear about the upload once it can be watched
+    await enqueueJob(NEW_VIDEO_NOTIFICATION_JOB, { videoId })
+}
+
+const markVideoFailed = async (job, error) => {
+    const { videoId, videoFileLocalPath, thumbnailLocalPath } = job.payload
+
+    await Video.findByIdAndUpdate(videoId, {
+        $set: {
+            status: "failed",
+            processingError: error?.message || "Video processing failed"
+        }
+    })
+    await Promise.all([
+        videoFileLocalPath,
+        thumbnailLocalPath,
+        `${videoFileLocalPath}.thumbnail.jpg`
+    ].map(removeLocalFile))
+}
+
+registerJobHandler(VIDEO_PROCESSING_JOB, processVideo, { onFailure: markVideoFailed })
+
+export { VIDEO_PROCESSING_JOB }
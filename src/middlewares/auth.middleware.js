@@ -2,6 +2,7 @@ import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import jwt from "jsonwebtoken";
 import {User} from "../models/user.model.js";
+import { isSessionActive } from "../utils/sessions.js";
 export const verifyJWT = asyncHandler(async(req, _, next) => {
     // We are wrapping the entire logic in a try/catch block
     try {
@@ -14,15 +15,22 @@ export const verifyJWT = asyncHandler(async(req, _, next) => {
         }
     
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-        const user = await User.findById(decodedToken?._id).select("-password -refreshToken");
+        const user = await User.findById(decodedToken?._id).select("-password");
 
         // If the token is valid but the user doesn't exist (e.g., deleted account)
         if (!user) {
             throw new ApiError(401, "Invalid Access Token");
         }
 
+        // Logged out, revoked or reused sessions take their access tokens with them
+        if (!(await isSessionActive(decodedToken.sid))) {
+            throw new ApiError(401, "Session has been revoked");
+        }
+
         // If everything is successful, attach the user to the request and proceed.
         req.user = user;
+        req.sessionId = decodedToken.sid;
+        req.accessTokenExpiresAt = decodedToken.exp * 1000;
         next();
         
     } catch (error) {
@@ -30,4 +38,19 @@ export const verifyJWT = asyncHandler(async(req, _, next) => {
         // It's a clear failure point.
         throw new ApiError(401, error?.message || "Invalid Access Token");
     }
-});
\ No newline at end of file
+});
+// Goes after verifyJWT on routes that publish content
+export const requireVerifiedEmail = (req, _, next) => {
+    if (!req.user?.isEmailVerified) {
+        throw new ApiError(403, "Verify your email address before publishing videos");
+    }
+    next();
+};
+
+// Goes after verifyJWT on admin-only routes
+export const requireAdmin = (req, _, next) => {
+    if (req.user?.role !== "admin") {
+        throw new ApiError(403, "Admin access required");
+    }
+    next();
+};
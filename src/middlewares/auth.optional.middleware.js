@@ -2,6 +2,7 @@
 
 import jwt from "jsonwebtoken";
 import { User } from "../models/user.model.js";
+import { isSessionActive } from "../utils/sessions.js";
 
 // This middleware is almost identical to verifyJWT, but it NEVER throws an error.
 export const verifyJWTOptional = async (req, res, next) => {
@@ -13,10 +14,11 @@ export const verifyJWTOptional = async (req, res, next) => {
         }
 
         const decodedToken = jwt.verify(token, process.env.ACCESS_TOKEN_SECRET);
-        const user = await User.findById(decodedToken?._id).select("-password -refreshToken");
+        const user = await User.findById(decodedToken?._id).select("-password");
 
-        if (user) {
+        if (user && await isSessionActive(decodedToken.sid)) {
             req.user = user; // User found? Attach them to the request.
+            req.sessionId = decodedToken.sid;
         }
     } catch (error) {
         // If the token is invalid/expired, just ignore it and proceed.
@@ -0,0 +1,94 @@
+import mongoose from "mongoose";
+import multer from "multer";
+import jwt from "jsonwebtoken";
+import { ApiError } from "../utils/ApiError.js";
+
+// Turns whatever was thrown into an ApiError so every failure has the same shape
+const normalizeError = (err) => {
+    if (err instanceof ApiError) {
+        return err
+    }
+
+    if (err instanceof mongoose.Error.ValidationError) {
+        const errors = Object.values(err.errors).map((fieldError) => ({
+            field: fieldError.path,
+            message: fieldError.message
+        }))
+        return new ApiError(400, "Validation failed", errors, err.stack)
+    }
+
+    if (err instanceof mongoose.Error.CastError) {
+        return new ApiError(
+            400,
+            `Invalid ${err.path}: ${err.value}`,
+            [{ field: err.path, message: `Invalid value for ${err.kind}` }],
+            err.stack
+        )
+    }
+
+    // duplicate key from a unique index
+    if (err?.code === 11000) {
+        const fields = Object.keys(err.keyValue || err.keyPattern || {})
+        return new ApiError(
+            409,
+            `${fields.join(", ") || "Resource"} already exists`,
+            fields.map((field) => ({ field, message: `${field} already exists` })),
+            err.stack
+        )
+    }
+
+    if (err instanceof jwt.TokenExpiredError) {
+        return new ApiError(401, "Token has expired", [], err.stack)
+    }
+
+    if (err instanceof jwt.JsonWebTokenError) {
+        return new ApiError(401, "Invalid token", [], err.stack)
+    }
+
+    if (err instanceof multer.MulterError) {
+        const statusCode = err.code === "LIMIT_FILE_SIZE" ? 413 : 400
+        return new ApiError(
+            statusCode,
+            err.message,
+            err.field ? [{ field: err.field, message: err.message }] : [],
+            err.stack
+        )
+    }
+
+    // body-parser errors (malformed JSON, payload too large) carry their own status
+    if (err?.status >= 400 && err?.status < 500 && err?.expose) {
+        return new ApiError(err.status, err.message, [], err.stack)
+    }
+
+    return new ApiError(500, "Internal server error", [], err?.stack)
+}
+
+const notFoundHandler = (req, _, next) => {
+    next(new ApiError(404, `Route ${req.method} ${req.originalUrl} not found`))
+}
+
+// Must stay the last middleware registered in app.js
+const errorHandler = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err)
+    }
+
+    const apiError = normalizeError(err)
+    const isProduction = process.env.NODE_ENV === "production"
+
+    if (apiError.statusCode >= 500) {
+        console.error(`[${req.id}]`, err)
+    }
+
+    return res.status(apiError.statusCode).json({
+        statusCode: apiError.statusCode,
+        data: null,
+        message: apiError.message,
+        success: false,
+        errors: apiError.errors,
+        requestId: req.id,
+        ...(isProduction ? {} : { stack: apiError.stack })
+    })
+}
+
+export { errorHandler, notFoundHandler }
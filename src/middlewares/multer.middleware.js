@@ -1,14 +1,156 @@
 import multer from "multer";
+import fs from "fs";
+import path from "path";
+import { randomUUID } from "crypto";
+import { ApiError } from "../utils/ApiError.js";
+
+// Outside public/, which app.js serves as it is: half-finished uploads must never be downloadable
+const TEMP_DIR = "./tmp/uploads"
+fs.mkdirSync(TEMP_DIR, { recursive: true })
+const MB = 1024 * 1024
+
+const IMAGE_MIME_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"]
+const VIDEO_MIME_TYPES = ["video/mp4", "video/quicktime", "video/webm", "video/x-matroska", "video/x-msvideo"]
+
+// Every field a route may accept has to be listed here
+const UPLOAD_POLICIES = {
+    avatar: { kind: "image", mimeTypes: IMAGE_MIME_TYPES, maxSize: 2 * MB },
+    coverImage: { kind: "image", mimeTypes: IMAGE_MIME_TYPES, maxSize: 5 * MB },
+    thumbnail: { kind: "image", mimeTypes: IMAGE_MIME_TYPES, maxSize: 2 * MB },
+    videoFile: {
+        kind: "video",
+        mimeTypes: VIDEO_MIME_TYPES,
+        maxSize: (Number(process.env.VIDEO_MAX_SIZE_MB) || 100) * MB
+    }
+}
+
+// Magic byte signatures, the declared mimetype is only a hint from the client
+const SIGNATURES = {
+    image: [
+        (bytes) => bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff, // jpeg
+        (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])), // png
+        (bytes) => bytes.subarray(0, 4).toString("latin1") === "GIF8", // gif
+        (bytes) => bytes.subarray(0, 4).toString("latin1") === "RIFF" && bytes.subarray(8, 12).toString("latin1") === "WEBP" // webp
+    ],
+    video: [
+        (bytes) => bytes.subarray(4, 8).toString("latin1") === "ftyp", // mp4, mov
+        (bytes) => bytes.subarray(0, 4).equals(Buffer.from([0x1a, 0x45, 0xdf, 0xa3])), // webm, mkv
+        (bytes) => bytes.subarray(0, 4).toString("latin1") === "RIFF" && bytes.subarray(8, 11).toString("latin1") === "AVI" // avi
+    ]
+}
+
+const safeExtension = (originalname) => {
+    const extension = path.extname(originalname || "").toLowerCase()
+    return /^\.[a-z0-9]{1,8}$/.test(extension) ? extension : ""
+}
 
 const storage = multer.diskStorage({
   destination: function (req, file, cb) {
-    cb(null, "./public/temp")
+    cb(null, TEMP_DIR)
   },
   filename: function (req, file, cb) {
-    cb(null, file.originalname)
+    // never trust originalname, two uploads of "video.mp4" must not collide
+    cb(null, `${randomUUID()}${safeExtension(file.originalname)}`)
   }
 })
 
-export const upload = multer({
-    storage,
-})
\ No newline at end of file
+const fileFilter = (req, file, cb) => {
+    const policy = UPLOAD_POLICIES[file.fieldname]
+    if (!policy) {
+        return cb(new ApiError(400, `Unexpected file field ${file.fieldname}`))
+    }
+    if (!policy.mimeTypes.includes(file.mimetype)) {
+        const message = `${file.fieldname} must be ${policy.kind === "image" ? "an" : "a"} ${policy.kind} file`
+        return cb(new ApiError(415, message, [{ field: file.fieldname, message }]))
+    }
+    cb(null, true)
+}
+
+const getUploadedFiles = (req) => {
+    if (req.file) return [req.file]
+    return Object.values(req.files || {}).flat()
+}
+
+const readHeader = async (filePath) => {
+    const handle = await fs.promises.open(filePath, "r")
+    try {
+        const buffer = Buffer.alloc(16)
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0)
+        return buffer.subarray(0, bytesRead)
+    } finally {
+        await handle.close()
+    }
+}
+
+const hasValidSignature = async (filePath, kind) => {
+    const header = await readHeader(filePath)
+    return SIGNATURES[kind].some((matches) => matches(header))
+}
+
+const verifyFile = async (file) => {
+    const policy = UPLOAD_POLICIES[file.fieldname]
+
+    if (file.size > policy.maxSize) {
+        const message = `${file.fieldname} must be at most ${Math.round(policy.maxSize / MB)}MB`
+        throw new ApiError(413, message, [{ field: file.fieldname, message }])
+    }
+
+    if (!(await hasValidSignature(file.path, policy.kind))) {
+        const message = `${file.fieldname} is not a valid ${policy.kind} file`
+        throw new ApiError(415, message, [{ field: file.fieldname, message }])
+    }
+}
+
+// Storage uploads delete their temp file, so anything still on disk once the
+// response is done belongs to a request that failed before reaching storage
+const removeTempFiles = (req) => {
+    for (const file of getUploadedFiles(req)) {
+        if (file.keep) continue
+        fs.unlink(file.path, () => {})
+    }
+}
+
+// Wraps a multer middleware with the per-field policies above
+const withPolicies = (fieldNames, createMiddleware) => {
+    const maxSize = Math.max(...fieldNames.map((name) => UPLOAD_POLICIES[name].maxSize))
+    const middleware = createMiddleware(multer({
+        storage,
+        fileFilter,
+        limits: { fileSize: maxSize }
+    }))
+
+    return (req, res, next) => {
+        res.on("close", () => removeTempFiles(req))
+
+        middleware(req, res, async (err) => {
+            if (err) return next(err)
+            try {
+                await Promise.all(getUploadedFiles(req).map(verifyFile))
+                next()
+            } catch (error) {
+                next(error)
+            }
+        })
+    }
+}
+
+// Same surface as a multer instance so routes keep calling upload.fields / upload.single
+const upload = {
+    fields: (fields) => withPolicies(
+        fields.map((field) => field.name),
+        (instance) => instance.fields(fields)
+    ),
+    single: (fieldName) => withPolicies(
+        [fieldName],
+        (instance) => instance.single(fieldName)
+    )
+}
+
+export {
+    upload,
+    UPLOAD_POLICIES,
+    VIDEO_MIME_TYPES,
+    TEMP_DIR,
+    safeExtension,
+    hasValidSignature
+}
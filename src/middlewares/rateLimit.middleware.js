@@ -0,0 +1,34 @@
+import { ApiError } from "../utils/ApiError.js";
+import { hitRateLimit } from "../utils/rateLimit/index.js";
+import { RATE_LIMIT_POLICIES } from "../utils/rateLimit/policies.js";
+
+// Limits requests per user, or per ip when logged out, to the named policy.
+// Goes after verifyJWT / verifyJWTOptional, so logged in users are counted by their id
+export const rateLimit = (policyName) => {
+    const policy = RATE_LIMIT_POLICIES[policyName];
+    if (!policy) {
+        throw new Error(`Unknown rate limit policy "${policyName}"`);
+    }
+
+    return async (req, res, next) => {
+        const identity = req.user ? `user:${req.user._id}` : `ip:${req.ip}`;
+
+        // falls back to counting in memory when the configured store is down
+        const result = await hitRateLimit(policyName, policy, identity);
+
+        const resetSeconds = Math.max(Math.ceil((result.resetAt.getTime() - Date.now()) / 1000), 0);
+        res.set({
+            "RateLimit-Policy": `${policy.limit};w=${policy.windowMs / 1000}`,
+            "RateLimit-Limit": String(result.limit),
+            "RateLimit-Remaining": String(result.remaining),
+            "RateLimit-Reset": String(resetSeconds)
+        });
+
+        if (result.isLimited) {
+            res.set("Retry-After", String(resetSeconds));
+            throw new ApiError(429, `Too many requests, try again in ${resetSeconds} seconds`);
+        }
+
+        next();
+    };
+};
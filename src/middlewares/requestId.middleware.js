@@ -0,0 +1,10 @@
+import { randomUUID } from "crypto";
+
+// Tags every request with an id so error responses can be matched to server logs.
+// An id coming from a proxy in front of us is reused instead of generating a new one.
+export const assignRequestId = (req, res, next) => {
+    const incomingId = req.header("X-Request-Id")
+    req.id = incomingId && incomingId.length <= 128 ? incomingId : randomUUID()
+    res.setHeader("X-Request-Id", req.id)
+    next()
+}
@@ -0,0 +1,42 @@
+import { ApiError } from "../utils/ApiError.js";
+
+const LOCATIONS = ["params", "query", "body"]
+
+// Runs the zod schemas a route declares for params, query and body.
+// Unknown fields are stripped and values coerced, so controllers only see clean input.
+export const validate = (schema) => (req, _, next) => {
+    const errors = []
+
+    for (const location of LOCATIONS) {
+        if (!schema[location]) continue
+
+        const result = schema[location].safeParse(req[location] ?? {})
+        if (!result.success) {
+            errors.push(
+                ...result.error.issues.map((issue) => ({
+                    field: [location, ...issue.path].join("."),
+                    message: issue.message
+                }))
+            )
+            continue
+        }
+
+        if (location === "query") {
+            // req.query is a getter in Express 5, so it has to be redefined rather than assigned
+            Object.defineProperty(req, "query", {
+                value: result.data,
+                writable: true,
+                configurable: true,
+                enumerable: true
+            })
+        } else {
+            req[location] = result.data
+        }
+    }
+
+    if (errors.length) {
+        return next(new ApiError(400, errors[0].message, errors))
+    }
+
+    next()
+}
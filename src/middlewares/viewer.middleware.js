@@ -0,0 +1,50 @@
+import { randomUUID } from "crypto";
+
+const VIEWER_COOKIE = "viewerId"
+const VIEW_SESSION_COOKIE = "viewSessionId"
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000
+
+const cookieOptions = {
+    httpOnly: true,
+    secure: true,
+    sameSite: "none",
+    signed: true
+}
+
+// "<uuid>.<issued at ms>", so the age of an anonymous id can be told from the cookie itself
+const parseViewerCookie = (value) => {
+    const match = /^([0-9a-f-]{36})\.(\d+)$/.exec(value || "")
+    if (!match) return null
+    const issuedAt = Number(match[2])
+    return issuedAt <= Date.now() ? { anonymousId: match[1], issuedAt } : null
+}
+
+// Identifies who is watching for view counting: the logged in user, otherwise a
+// long-lived anonymous id, plus a browser session id. Both ids live in signed cookies
+// so they can't be forged; without COOKIE_SECRET only logged in viewers are identified.
+// anonymousIssuedAt is only set for a cookie the client sent back, never for one issued
+// by this request, so a client dropping its cookies can't count views
+export const identifyViewer = (req, res, next) => {
+    req.viewer = { userId: req.user?._id, ip: req.ip }
+
+    if (!req.secret) return next()
+
+    const returning = parseViewerCookie(req.signedCookies?.[VIEWER_COOKIE])
+    let anonymousId = returning?.anonymousId
+    if (!anonymousId) {
+        anonymousId = randomUUID()
+        res.cookie(VIEWER_COOKIE, `${anonymousId}.${Date.now()}`, { ...cookieOptions, maxAge: YEAR_MS })
+    }
+
+    // no maxAge, so the browser drops it when it closes
+    let sessionId = req.signedCookies?.[VIEW_SESSION_COOKIE]
+    if (!sessionId) {
+        sessionId = randomUUID()
+        res.cookie(VIEW_SESSION_COOKIE, sessionId, cookieOptions)
+    }
+
+    req.viewer.anonymousId = anonymousId
+    req.viewer.anonymousIssuedAt = returning?.issuedAt
+    req.viewer.sessionId = sessionId
+    next()
+}
@@ -0,0 +1,41 @@
+import mongoose, {Schema} from "mongoose";
+
+const ACCOUNT_TOKEN_PURPOSES = ["email_verification", "password_reset", "two_factor_login"]
+
+// A single-use token mailed to a user, or handed out between the two login steps.
+// Only its hash is stored
+const accountTokenSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        purpose: {
+            type: String,
+            enum: ACCOUNT_TOKEN_PURPOSES,
+            required: true
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        email: {
+            type: String // the address it was sent to, verification only counts for that one
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+accountTokenSchema.index({ user: 1, purpose: 1 })
+// MongoDB removes expired tokens by itself, up to a minute late
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const AccountToken = mongoose.model("AccountToken", accountTokenSchema)
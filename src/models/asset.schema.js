@@ -0,0 +1,21 @@
+import {Schema} from "mongoose";
+
+// Where a stored file lives, so it can be deleted without parsing its URL
+export const assetSchema = new Schema(
+    {
+        provider: {
+            type: String, // storage driver name, see utils/storage
+            required: true
+        },
+        assetId: {
+            type: String,
+            required: true
+        },
+        resourceType: {
+            type: String
+        }
+    },
+    {
+        _id: false
+    }
+)
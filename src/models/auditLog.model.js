@@ -0,0 +1,38 @@
+import mongoose, {Schema} from "mongoose";
+
+const AUDIT_ACTIONS = ["login.lockout", "login.unlock", "2fa.enabled", "2fa.disabled", "2fa.recovery_codes_regenerated"]
+
+// Security relevant events, kept for admins to review
+const auditLogSchema = new Schema(
+    {
+        action: {
+            type: String,
+            enum: AUDIT_ACTIONS,
+            required: true
+        },
+        actor: {
+            type: Schema.Types.ObjectId, // who did it, unset for the system
+            ref: "User"
+        },
+        targetUser: {
+            type: Schema.Types.ObjectId,
+            ref: "User"
+        },
+        ip: {
+            type: String
+        },
+        details: {
+            type: Schema.Types.Mixed
+        }
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false }
+    }
+)
+
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ action: 1, createdAt: -1 })
+auditLogSchema.index({ targetUser: 1, createdAt: -1 })
+
+export { AUDIT_ACTIONS }
+export const AuditLog = mongoose.model("AuditLog", auditLogSchema)
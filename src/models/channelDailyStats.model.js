@@ -0,0 +1,38 @@
+import mongoose, {Schema} from "mongoose";
+import { startOfDay } from "../utils/analytics.js";
+
+// Per channel, per UTC day subscription counters for the dashboard analytics
+const channelDailyStatsSchema = new Schema(
+    {
+        channel: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        date: {
+            type: Date, // midnight UTC
+            required: true
+        },
+        subscribers: {
+            type: Number, // new subscribers that day
+            default: 0
+        },
+        unsubscribes: {
+            type: Number,
+            default: 0
+        }
+    }
+)
+
+channelDailyStatsSchema.index({ channel: 1, date: 1 }, { unique: true })
+
+// counters: e.g. { subscribers: 1 }
+channelDailyStatsSchema.statics.increment = async function (channelId, counters, date = new Date()) {
+    return await this.updateOne(
+        { channel: channelId, date: startOfDay(date) },
+        { $inc: counters },
+        { upsert: true }
+    )
+}
+
+export const ChannelDailyStats = mongoose.model("ChannelDailyStats", channelDailyStatsSchema)
@@ -5,15 +5,37 @@ const commentSchema = new Schema(
     {
         content: {
             type: String,
-            required: true
+            required: function () { return !this.isDeleted }
+        },
+        targetType: {
+            type: String,
+            enum: ["Video", "Tweet", "Playlist"],
+            default: "Video"
+        },
+        target: {
+            type: Schema.Types.ObjectId, // the video, tweet or playlist being discussed
+            refPath: "targetType"
         },
         video: {
-            type: Schema.Types.ObjectId,
+            type: Schema.Types.ObjectId, // still set for video comments, the dashboard counts on it
             ref: "Video"
         },
         owner: {
             type: Schema.Types.ObjectId,
             ref: "User"
+        },
+        parentComment: {
+            type: Schema.Types.ObjectId, // null for top-level comments, replies are one level deep
+            ref: "Comment",
+            default: null
+        },
+        replyCount: {
+            type: Number,
+            default: 0
+        },
+        isDeleted: {
+            type: Boolean, // tombstone kept so replies of a deleted comment stay in place
+            default: false
         }
     },
     {
@@ -21,6 +43,10 @@ const commentSchema = new Schema(
     }
 )
 
+commentSchema.index({ video: 1, parentComment: 1, createdAt: 1 })
+commentSchema.index({ targetType: 1, target: 1, parentComment: 1, createdAt: 1 })
+commentSchema.index({ parentComment: 1, createdAt: 1 })
+commentSchema.index({ createdAt: 1 }) // recent comments for trending
 
 commentSchema.plugin(mongooseAggregatePaginate)
 
@@ -0,0 +1,29 @@
+import mongoose, {Schema} from "mongoose";
+
+// Named sequences, incremented atomically with $inc
+const counterSchema = new Schema({
+    _id: {
+        type: String
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+})
+
+counterSchema.statics.next = async function (name, count = 1) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: count } },
+        { upsert: true, new: true }
+    )
+    // first value of the reserved range
+    return counter.seq - count + 1
+}
+
+counterSchema.statics.current = async function (name) {
+    const counter = await this.findById(name).lean()
+    return counter?.seq || 0
+}
+
+export const Counter = mongoose.model("Counter", counterSchema)
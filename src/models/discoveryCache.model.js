@@ -0,0 +1,34 @@
+import mongoose, {Schema} from "mongoose";
+
+// Precomputed video rankings, "trending" or "related:<videoId>", rebuilt on a schedule
+const discoveryCacheSchema = new Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        videos: [
+            {
+                _id: false,
+                video: {
+                    type: Schema.Types.ObjectId,
+                    ref: "Video"
+                },
+                score: Number
+            }
+        ],
+        computedAt: {
+            type: Date,
+            default: Date.now
+        },
+        lastRequestedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }
+)
+
+discoveryCacheSchema.index({ computedAt: 1 })
+
+export const DiscoveryCache = mongoose.model("DiscoveryCache", discoveryCacheSchema)
@@ -0,0 +1,51 @@
+import mongoose, {Schema} from "mongoose";
+
+const jobSchema = new Schema(
+    {
+        type: {
+            type: String, // handler name, see jobs/queue.js
+            required: true
+        },
+        payload: {
+            type: Schema.Types.Mixed,
+            default: {}
+        },
+        status: {
+            type: String,
+            enum: ["queued", "running", "completed", "failed"],
+            default: "queued"
+        },
+        host: {
+            type: String // jobs that read local files can only run on the host that has them
+        },
+        attempts: {
+            type: Number,
+            default: 0
+        },
+        maxAttempts: {
+            type: Number,
+            default: 3
+        },
+        runAt: {
+            type: Date,
+            default: Date.now
+        },
+        lockedAt: {
+            type: Date
+        },
+        lastError: {
+            type: String
+        },
+        completedAt: {
+            type: Date
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+jobSchema.index({ status: 1, runAt: 1 })
+jobSchema.index({ "payload.videoId": 1 })
+
+export const Job = mongoose.model("Job", jobSchema)
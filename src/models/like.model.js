@@ -21,4 +21,10 @@ const likeSchema = new Schema({
     
 }, {timestamps: true})
 
+likeSchema.index({ video: 1, likedBy: 1 })
+likeSchema.index({ comment: 1, likedBy: 1 })
+likeSchema.index({ tweet: 1, likedBy: 1 })
+likeSchema.index({ likedBy: 1, video: 1 }) // co-likes for related videos
+likeSchema.index({ createdAt: 1 }) // recent likes for trending
+
 export const Like = mongoose.model("Like", likeSchema)
\ No newline at end of file
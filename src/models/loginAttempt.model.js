@@ -0,0 +1,34 @@
+import mongoose, {Schema} from "mongoose";
+
+// Failed logins of one account ("user:<id>"), unknown identifier ("identifier:<name>") or ip ("ip:<address>")
+const loginAttemptSchema = new Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true
+        },
+        failures: {
+            type: Number, // inside the current window, starts over after a lockout
+            default: 0
+        },
+        lastFailureAt: {
+            type: Date
+        },
+        nextAttemptAt: {
+            type: Date // progressive delay, attempts before this are refused
+        },
+        lockedUntil: {
+            type: Date
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    }
+)
+
+// MongoDB forgets quiet keys by itself, up to a minute late
+loginAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema)
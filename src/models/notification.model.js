@@ -0,0 +1,62 @@
+import mongoose, {Schema} from "mongoose";
+
+const NOTIFICATION_TYPES = ["subscription", "video_like", "comment", "new_video"]
+
+const notificationSchema = new Schema(
+    {
+        recipient: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        type: {
+            type: String,
+            enum: NOTIFICATION_TYPES,
+            required: true
+        },
+        // what the notification is about: the liked video, the commented tweet, the subscribed channel...
+        entityType: {
+            type: String,
+            enum: ["User", "Video", "Tweet", "Playlist"],
+            required: true
+        },
+        entity: {
+            type: Schema.Types.ObjectId,
+            refPath: "entityType",
+            required: true
+        },
+        // most recent first, only the latest few are kept for display
+        actors: [
+            {
+                type: Schema.Types.ObjectId,
+                ref: "User"
+            }
+        ],
+        actorCount: {
+            type: Number, // everyone aggregated into this notification, "X and 12 others"
+            default: 1
+        },
+        isRead: {
+            type: Boolean,
+            default: false
+        },
+        readAt: {
+            type: Date
+        },
+        lastActivityAt: {
+            type: Date,
+            default: Date.now
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+notificationSchema.index({ recipient: 1, lastActivityAt: -1 })
+notificationSchema.index({ recipient: 1, isRead: 1 })
+notificationSchema.index({ recipient: 1, type: 1, entity: 1, isRead: 1 })
+notificationSchema.index({ entity: 1 })
+
+export { NOTIFICATION_TYPES }
+export const Notification = mongoose.model("Notification", notificationSchema)
@@ -21,6 +21,12 @@ const playlistSchema = new Schema({
     },
 }, {timestamps: true})
 
+// playlist search, name matches weigh more than description matches
+playlistSchema.index(
+    {name: "text", description: "text"},
+    {weights: {name: 3, description: 1}, name: "playlist_text_search"}
+)
+
 
 
 export const Playlist = mongoose.model("Playlist", playlistSchema)
\ No newline at end of file
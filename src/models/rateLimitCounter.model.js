@@ -0,0 +1,25 @@
+import mongoose, {Schema} from "mongoose";
+
+// Requests counted in one rate limit window, shared by every instance
+const rateLimitCounterSchema = new Schema(
+    {
+        key: {
+            type: String, // "<policy>:<user or ip>:<window start>"
+            required: true,
+            unique: true
+        },
+        count: {
+            type: Number,
+            default: 0
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    }
+)
+
+// MongoDB removes finished windows by itself, up to a minute late
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const RateLimitCounter = mongoose.model("RateLimitCounter", rateLimitCounterSchema)
@@ -0,0 +1,34 @@
+import mongoose, {Schema} from "mongoose";
+
+const RESUME_WINDOW_SECONDS = 10 * 60
+
+// Events pushed to real-time streams, kept for a while so reconnecting clients can resume
+const realtimeEventSchema = new Schema(
+    {
+        seq: {
+            type: Number, // global order across server instances, doubles as the SSE event id
+            required: true,
+            unique: true
+        },
+        topic: {
+            type: String, // "video:<id>" or "user:<id>"
+            required: true
+        },
+        event: {
+            type: String,
+            required: true
+        },
+        data: {
+            type: Schema.Types.Mixed
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }
+)
+
+realtimeEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: RESUME_WINDOW_SECONDS })
+
+export { RESUME_WINDOW_SECONDS }
+export const RealtimeEvent = mongoose.model("RealtimeEvent", realtimeEventSchema)
@@ -0,0 +1,65 @@
+import mongoose, {Schema} from "mongoose";
+
+const REVOKE_REASONS = ["logout", "revoked", "logout_all", "password_change", "password_reset", "reuse"]
+
+// One logged in device. Its refresh tokens form one family: each refresh replaces
+// tokenHash, and presenting any earlier token of the family revokes the session. The one
+// just replaced is the exception for a few seconds, concurrent refreshes all get the new one
+const sessionSchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        tokenHash: {
+            type: String, // sha256 of the current refresh token, the token itself is never stored
+            required: true
+        },
+        tokenId: {
+            type: String // jti of the current refresh token, so it can be handed out again during the grace window
+        },
+        tokenIssuedAt: {
+            type: Number // iat of the current refresh token, in seconds
+        },
+        previousTokenHash: {
+            type: String // the token the current one replaced, still answered for a few seconds
+        },
+        rotatedAt: {
+            type: Date
+        },
+        userAgent: {
+            type: String,
+            default: ""
+        },
+        ip: {
+            type: String,
+            default: ""
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+        expiresAt: {
+            type: Date, // when the current refresh token expires
+            required: true
+        },
+        revokedAt: {
+            type: Date,
+            default: null
+        },
+        revokedReason: {
+            type: String,
+            enum: REVOKE_REASONS
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+sessionSchema.index({ user: 1, revokedAt: 1, lastUsedAt: -1 })
+// sessions go away once their refresh token can't be used anymore
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const Session = mongoose.model("Session", sessionSchema)
@@ -1,5 +1,8 @@
 import mongoose, {Schema} from "mongoose"
 
+// all: every upload, personalized: only while the subscriber watches the channel, none: no upload notifications
+const NOTIFICATION_LEVELS = ["all", "personalized", "none"]
+
 const subscriptionSchema = new Schema({
     subscriber: {
         type: Schema.Types.ObjectId, // one who is subscribing
@@ -8,9 +11,19 @@ const subscriptionSchema = new Schema({
     channel: {
         type: Schema.Types.ObjectId, // one to whom 'subscriber' is subscribing
         ref: "User"
+    },
+    notificationLevel: {
+        type: String,
+        enum: NOTIFICATION_LEVELS,
+        default: "all"
+    },
+    mutedUntil: {
+        type: Date // no upload notifications from the channel before this
     }
 }, {timestamps: true})
 
+subscriptionSchema.index({ channel: 1, subscriber: 1 })
+subscriptionSchema.index({ subscriber: 1, createdAt: -1 })
 
-
+export { NOTIFICATION_LEVELS }
 export const Subscription = mongoose.model("Subscription", subscriptionSchema)
\ No newline at end of file
@@ -11,5 +11,7 @@ const tweetSchema = new Schema({
     }
 }, {timestamps: true})
 
+tweetSchema.index({content: "text"}, {name: "tweet_text_search"})
+
 
 export const Tweet = mongoose.model("Tweet", tweetSchema)
\ No newline at end of file
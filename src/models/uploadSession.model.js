@@ -0,0 +1,65 @@
+import mongoose, {Schema} from "mongoose";
+
+const uploadSessionSchema = new Schema(
+    {
+        owner: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        fileName: {
+            type: String,
+            required: true
+        },
+        mimeType: {
+            type: String,
+            required: true
+        },
+        fileSize: {
+            type: Number, // bytes
+            required: true
+        },
+        chunkSize: {
+            type: Number, // bytes, every chunk but the last has exactly this size
+            required: true
+        },
+        totalChunks: {
+            type: Number,
+            required: true
+        },
+        receivedChunks: [
+            {
+                type: Number
+            }
+        ],
+        status: {
+            type: String,
+            enum: ["active", "completing", "completed"],
+            default: "active"
+        },
+        video: {
+            type: Schema.Types.ObjectId, // set once the session is finalized
+            ref: "Video"
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 })
+
+uploadSessionSchema.methods.expectedChunkSize = function (index) {
+    if (index < this.totalChunks - 1) return this.chunkSize
+    return this.fileSize - this.chunkSize * (this.totalChunks - 1)
+}
+
+uploadSessionSchema.methods.isExpired = function () {
+    return this.expiresAt.getTime() <= Date.now()
+}
+
+export const UploadSession = mongoose.model("UploadSession", uploadSessionSchema)
@@ -1,6 +1,8 @@
 import mongoose,{Schema} from "mongoose";
 import jwt from "jsonwebtoken"
 import bcrypt from "bcrypt"
+import { randomUUID } from "crypto"
+import { assetSchema } from "./asset.schema.js";
 
 const userSchema = new Schema({
     username:{
@@ -25,27 +27,73 @@ const userSchema = new Schema({
         index : true
     },
     avatar:{
-        type : String, //cloudinary url
+        type : String, //storage url
         required : true
     },
+    avatarAsset:{
+        type : assetSchema
+    },
     coverImage:{
-        type : String //cloudinary url
+        type : String //storage url
+    },
+    coverImageAsset:{
+        type : assetSchema
+    },
+    role:{
+        type : String, //admins are promoted directly in the database
+        enum : ["user", "admin"],
+        default : "user"
+    },
+    isEmailVerified:{
+        type : Boolean, //required before publishing videos
+        default : false
+    },
+    emailVerifiedAt:{
+        type : Date
+    },
+    isTwoFactorEnabled:{
+        type : Boolean,
+        default : false
+    },
+    twoFactorSecret:{
+        type : String, //base32 TOTP secret, only loaded where codes are checked
+        select : false
+    },
+    twoFactorPendingSecret:{
+        type : String, //between setup and the first confirmed code
+        select : false
+    },
+    twoFactorRecoveryCodes:{
+        type : [String], //sha256 hashes, each is removed once used
+        select : false,
+        default : undefined
+    },
+    twoFactorLastUsedStep:{
+        type : Number, //TOTP time step of the last accepted code, it can't be used again
+        select : false
+    },
+    isWatchHistoryPaused:{
+        type : Boolean, //entries live in the watchhistories collection
+        default : false
+    },
+    notificationPreferences:{ //one switch per notification type
+        subscription : { type : Boolean, default : true },
+        video_like : { type : Boolean, default : true },
+        comment : { type : Boolean, default : true },
+        new_video : { type : Boolean, default : true }
     },
-    watchHistory:[
-        {
-            type: Schema.Types.ObjectId,
-            ref :"Video"
-        }
-    ],
     password:{
         type : String,
         required : [true,'password is required']
-    },
-    refreshToken:{
-        type: String
     }
 },{timestamps:true})
 
+// channel search, a display name match weighs more than a username match
+userSchema.index(
+    { fullName : "text", username : "text" },
+    { weights : { fullName : 3, username : 1 }, name : "channel_text_search" }
+)
+
 userSchema.pre("save", async function (next){
     if(!this.isModified("password")) return next();
     this.password = await bcrypt.hash(this.password, 10)
@@ -56,12 +104,14 @@ userSchema.methods.isPasswordCorrect = async function (password) {
     return await bcrypt.compare(password, this.password)
 }
 
-userSchema.methods.generateAccessToken = function () {
+// sessionId ties both tokens to a session, revoking it stops them working
+userSchema.methods.generateAccessToken = function (sessionId) {
     return jwt.sign({
         _id : this._id,
         email : this.email,
         username : this.username,
-        fullName : this.fullName
+        fullName : this.fullName,
+        sid : sessionId
     },
     process.env.ACCESS_TOKEN_SECRET,
     {
@@ -70,11 +120,15 @@ userSchema.methods.generateAccessToken = function () {
 )
 }
 
-userSchema.methods.generateRefreshToken = function () {
+// tokenId and issuedAt (seconds) are kept on the session, signing them again gives the same token
+userSchema.methods.generateRefreshToken = function (sessionId, { tokenId = randomUUID(), issuedAt = Math.floor(Date.now() / 1000) } = {}) {
     return jwt.sign
     (
         {
             _id : this._id,
+            sid : sessionId,
+            jti : tokenId, // two refreshes within a second still get different tokens
+            iat : issuedAt
         },
         process.env.REFRESH_TOKEN_SECRET,
         {
@@ -1,14 +1,21 @@
 import mongoose, {Schema}  from "mongoose";
 import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+import { assetSchema } from "./asset.schema.js";
 
 const videoSchema = new Schema({
     videoFile:{
-        type : String, //cloudinary url
-        required : true
+        type : String, //storage url, set by the processing job
+        required : function () { return this.status === "ready" }
+    },
+    videoFileAsset:{
+        type : assetSchema
     },
     thumbnail:{
-        type : String, //cloudinary url
-        required : true
+        type : String, //storage url, may stay empty if no frame could be extracted
+        default : ""
+    },
+    thumbnailAsset:{
+        type : assetSchema
     },
     title:{
         type : String,
@@ -20,7 +27,7 @@ const videoSchema = new Schema({
     },
     duration:{
         type : Number,
-        required : true
+        default : 0
     },
     views:{
         type : Number,
@@ -33,10 +40,24 @@ const videoSchema = new Schema({
     owner:{
         type : Schema.Types.ObjectId,
         ref : "User"
+    },
+    status:{
+        type : String,
+        enum : ["uploading", "processing", "ready", "failed"],
+        default : "ready"
+    },
+    processingError:{
+        type : String
     }
     
 },{timestamps:true})
 
+// full-text search, title matches weigh more than description matches
+videoSchema.index(
+    { title : "text", description : "text" },
+    { weights : { title : 5, description : 1 }, name : "video_text_search" }
+)
+
 videoSchema.plugin(mongooseAggregatePaginate)
 
 export const Video = mongoose.model("Video", videoSchema)
\ No newline at end of file
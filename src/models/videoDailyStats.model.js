@@ -0,0 +1,66 @@
+import mongoose, {Schema} from "mongoose";
+import { startOfDay } from "../utils/analytics.js";
+
+// Per video, per UTC day counters, the source for time-based dashboard numbers
+const videoDailyStatsSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        channel: {
+            type: Schema.Types.ObjectId, // the video owner, so a channel's days can be read without a lookup
+            ref: "User",
+            required: true
+        },
+        date: {
+            type: Date, // midnight UTC
+            required: true
+        },
+        views: {
+            type: Number,
+            default: 0
+        },
+        likes: {
+            type: Number, // likes given that day still standing, an unlike takes its like back from the day it was given
+            default: 0
+        },
+        comments: {
+            type: Number, // comments and replies posted that day
+            default: 0
+        }
+    }
+)
+
+videoDailyStatsSchema.index({ video: 1, date: 1 }, { unique: true })
+videoDailyStatsSchema.index({ channel: 1, date: 1 })
+videoDailyStatsSchema.index({ date: 1 }) // trending reads every video's recent days
+
+videoDailyStatsSchema.statics.dayOf = startOfDay
+
+// video: { _id, owner }, counters: e.g. { views: 1 }
+videoDailyStatsSchema.statics.increment = async function (video, counters, date = new Date()) {
+    return await this.updateOne(
+        { video: video._id, date: startOfDay(date) },
+        {
+            $inc: counters,
+            $setOnInsert: { channel: video.owner }
+        },
+        { upsert: true }
+    )
+}
+
+// Takes counters back from the day date falls in, e.g. { likes: 1 } for an unlike. Never below zero,
+// things from before the rollups existed were never counted in the first place
+videoDailyStatsSchema.statics.decrement = async function (video, counters, date = new Date()) {
+    const filter = { video: video._id, date: startOfDay(date) }
+    const update = {}
+    for (const [field, amount] of Object.entries(counters)) {
+        filter[field] = { $gte: amount }
+        update[field] = -amount
+    }
+    return await this.updateOne(filter, { $inc: update })
+}
+
+export const VideoDailyStats = mongoose.model("VideoDailyStats", videoDailyStatsSchema)
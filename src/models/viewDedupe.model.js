@@ -0,0 +1,27 @@
+import mongoose, {Schema} from "mongoose";
+
+// A claim that a viewer (or browser session) already counted a view of a video.
+// While it hasn't expired, further views from the same key don't count
+const viewDedupeSchema = new Schema(
+    {
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        key: {
+            type: String, // "user:<id>", "anon:<id>", "ip:<address>" or "session:<id>"
+            required: true
+        },
+        expiresAt: {
+            type: Date,
+            required: true
+        }
+    }
+)
+
+viewDedupeSchema.index({ video: 1, key: 1 }, { unique: true })
+// MongoDB removes expired claims by itself, up to a minute late
+viewDedupeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+export const ViewDedupe = mongoose.model("ViewDedupe", viewDedupeSchema)
@@ -0,0 +1,52 @@
+import mongoose, {Schema} from "mongoose";
+import mongooseAggregatePaginate from "mongoose-aggregate-paginate-v2";
+
+const watchHistorySchema = new Schema(
+    {
+        user: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true
+        },
+        video: {
+            type: Schema.Types.ObjectId,
+            ref: "Video",
+            required: true
+        },
+        watchedAt: {
+            type: Date,
+            default: Date.now
+        },
+        position: {
+            type: Number, // resume position in seconds
+            default: 0,
+            min: 0
+        },
+        completed: {
+            type: Boolean,
+            default: false
+        }
+    },
+    {
+        timestamps: true
+    }
+)
+
+// one entry per user and video, re-watching only moves it to the top
+watchHistorySchema.index({ user: 1, video: 1 }, { unique: true })
+watchHistorySchema.index({ user: 1, watchedAt: -1 })
+
+watchHistorySchema.statics.recordView = async function (userId, videoId) {
+    return await this.findOneAndUpdate(
+        { user: userId, video: videoId },
+        {
+            $set: { watchedAt: new Date() },
+            $setOnInsert: { position: 0, completed: false }
+        },
+        { upsert: true, new: true }
+    )
+}
+
+watchHistorySchema.plugin(mongooseAggregatePaginate)
+
+export const WatchHistory = mongoose.model("WatchHistory", watchHistorySchema)
@@ -0,0 +1,19 @@
+import { Router } from 'express';
+import {
+    unlockUserAccount,
+    getAuditLogs,
+} from "../controllers/admin.controller.js"
+import {verifyJWT, requireAdmin} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    unlockUserSchema,
+    auditLogsSchema
+} from "../validators/admin.validator.js"
+
+const router = Router();
+router.use(verifyJWT, requireAdmin); // Every route in this file is admin-only
+
+router.route("/users/:userId/unlock").post(validate(unlockUserSchema), unlockUserAccount);
+router.route("/auditLogs").get(validate(auditLogsSchema), getAuditLogs);
+
+export default router
@@ -3,17 +3,43 @@ import {
     addComment,
     deleteComment,
     getVideoComments,
+    getTweetComments,
+    getPlaylistComments,
+    addTweetComment,
+    addPlaylistComment,
+    getCommentReplies,
+    addReply,
     updateComment,
 } from "../controllers/comment.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {
+    videoCommentsSchema,
+    addCommentSchema,
+    tweetCommentsSchema,
+    addTweetCommentSchema,
+    playlistCommentsSchema,
+    addPlaylistCommentSchema,
+    commentIdSchema,
+    updateCommentSchema,
+    commentRepliesSchema,
+    addReplySchema
+} from "../validators/comment.validator.js"
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/:videoId").get(getVideoComments)
-                        .post(addComment);
-router.route("/c/:commentId").delete(deleteComment)
-                            .patch(updateComment);
+router.route("/:videoId").get(validate(videoCommentsSchema), getVideoComments)
+                        .post(rateLimit("write"), validate(addCommentSchema), addComment);
+router.route("/t/:tweetId").get(validate(tweetCommentsSchema), getTweetComments)
+                        .post(rateLimit("write"), validate(addTweetCommentSchema), addTweetComment);
+router.route("/p/:playlistId").get(validate(playlistCommentsSchema), getPlaylistComments)
+                            .post(rateLimit("write"), validate(addPlaylistCommentSchema), addPlaylistComment);
+router.route("/c/:commentId").delete(validate(commentIdSchema), deleteComment)
+                            .patch(validate(updateCommentSchema), updateComment);
+router.route("/c/:commentId/replies").get(validate(commentRepliesSchema), getCommentReplies)
+                                    .post(rateLimit("write"), validate(addReplySchema), addReply);
 
 export default router
\ No newline at end of file
@@ -2,14 +2,25 @@ import { Router } from 'express';
 import {
     getChannelStats,
     getChannelVideos,
+    getChannelAnalytics,
+    getVideoAnalytics,
 } from "../controllers/dashboard.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    channelStatsSchema,
+    channelVideosSchema,
+    channelAnalyticsSchema,
+    videoAnalyticsSchema
+} from "../validators/dashboard.validator.js"
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/stats").get(getChannelStats);
-router.route("/videos").get(getChannelVideos);
+router.route("/stats").get(validate(channelStatsSchema), getChannelStats);
+router.route("/videos").get(validate(channelVideosSchema), getChannelVideos);
+router.route("/analytics").get(validate(channelAnalyticsSchema), getChannelAnalytics);
+router.route("/analytics/videos/:videoId").get(validate(videoAnalyticsSchema), getVideoAnalytics);
 
 export default router
\ No newline at end of file
@@ -0,0 +1,12 @@
+import { Router } from 'express';
+import { getFeed } from "../controllers/feed.controller.js"
+import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {feedSchema} from "../validators/feed.validator.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/").get(validate(feedSchema), getFeed);
+
+export default router
@@ -6,13 +6,21 @@ import {
     toggleTweetLike,
 } from "../controllers/like.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {
+    videoLikeSchema,
+    commentLikeSchema,
+    tweetLikeSchema,
+    likedVideosSchema
+} from "../validators/like.validator.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/toggle/v/:videoId").post(toggleVideoLike);
-router.route("/toggle/c/:commentId").post(toggleCommentLike);
-router.route("/toggle/t/:tweetId").post(toggleTweetLike);
-router.route("/videos").get(getLikedVideos);
+router.route("/toggle/v/:videoId").post(rateLimit("reaction"), validate(videoLikeSchema), toggleVideoLike);
+router.route("/toggle/c/:commentId").post(rateLimit("reaction"), validate(commentLikeSchema), toggleCommentLike);
+router.route("/toggle/t/:tweetId").post(rateLimit("reaction"), validate(tweetLikeSchema), toggleTweetLike);
+router.route("/videos").get(validate(likedVideosSchema), getLikedVideos);
 
 export default router
\ No newline at end of file
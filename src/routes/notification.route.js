@@ -0,0 +1,29 @@
+import { Router } from 'express';
+import {
+    getNotifications,
+    getUnreadNotificationCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    getNotificationPreferences,
+    updateNotificationPreferences,
+} from "../controllers/notification.controller.js"
+import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {
+    notificationsSchema,
+    notificationIdSchema,
+    notificationPreferencesSchema
+} from "../validators/notification.validator.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/").get(validate(notificationsSchema), getNotifications);
+router.route("/unread-count").get(getUnreadNotificationCount);
+router.route("/read-all").patch(markAllNotificationsRead);
+router.route("/preferences")
+    .get(getNotificationPreferences)
+    .patch(validate(notificationPreferencesSchema), updateNotificationPreferences);
+router.route("/:notificationId/read").patch(validate(notificationIdSchema), markNotificationRead);
+
+export default router
@@ -9,21 +9,30 @@ import {
     updatePlaylist,
 } from "../controllers/playlist.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {
+    createPlaylistSchema,
+    playlistIdSchema,
+    updatePlaylistSchema,
+    playlistVideoSchema,
+    userPlaylistsSchema
+} from "../validators/playlist.validator.js"
 
 const router = Router();
 
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/").post(createPlaylist)
+router.route("/").post(rateLimit("write"), validate(createPlaylistSchema), createPlaylist)
 
 router.route("/:playlistId")
-    .get(getPlaylistById)
-    .patch(updatePlaylist)
-    .delete(deletePlaylist);
+    .get(validate(playlistIdSchema), getPlaylistById)
+    .patch(validate(updatePlaylistSchema), updatePlaylist)
+    .delete(validate(playlistIdSchema), deletePlaylist);
 
-router.route("/add/:videoId/:playlistId").patch(addVideoToPlaylist);
-router.route("/remove/:videoId/:playlistId").patch(removeVideoFromPlaylist);
+router.route("/add/:videoId/:playlistId").patch(validate(playlistVideoSchema), addVideoToPlaylist);
+router.route("/remove/:videoId/:playlistId").patch(validate(playlistVideoSchema), removeVideoFromPlaylist);
 
-router.route("/user/:userId").get(getUserPlaylists);
+router.route("/user/:userId").get(validate(userPlaylistsSchema), getUserPlaylists);
 
 export default router
\ No newline at end of file
@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import {
+    openEventStream,
+    updateEventStreamTopics,
+} from "../controllers/realtime.controller.js"
+import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {eventStreamSchema, streamTopicsSchema} from "../validators/realtime.validator.js"
+
+const router = Router();
+router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
+
+router.route("/stream").get(validate(eventStreamSchema), openEventStream);
+router.route("/streams/:streamId/topics").patch(validate(streamTopicsSchema), updateEventStreamTopics);
+
+export default router
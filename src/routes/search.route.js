@@ -0,0 +1,13 @@
+import { Router } from 'express';
+import { search, getSearchSuggestions } from "../controllers/search.controller.js"
+import {verifyJWTOptional} from "../middlewares/auth.optional.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {searchSchema, searchSuggestSchema} from "../validators/search.validator.js"
+
+const router = Router();
+
+router.route("/").get(verifyJWTOptional, rateLimit("search"), validate(searchSchema), search);
+router.route("/suggest").get(rateLimit("search"), validate(searchSuggestSchema), getSearchSuggestions);
+
+export default router
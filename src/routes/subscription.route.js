@@ -3,19 +3,30 @@ import {
     getSubscribedChannels,
     getUserChannelSubscribers,
     toggleSubscription,
+    updateSubscription,
 } from "../controllers/subscription.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {
+    subscribedChannelsSchema,
+    toggleSubscriptionSchema,
+    channelSubscribersSchema,
+    updateSubscriptionSchema
+} from "../validators/subscription.validator.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
 // This route GETS channels a specific user is subscribed to
-router.route("/c/:subscriberId").get(getSubscribedChannels)
+router.route("/c/:subscriberId").get(validate(subscribedChannelsSchema), getSubscribedChannels)
 
 // This route TOGGLES a subscription to a specific channel
-router.route("/c/:channelId").post(toggleSubscription);
+router.route("/c/:channelId")
+    .post(rateLimit("reaction"), validate(toggleSubscriptionSchema), toggleSubscription)
+    .patch(validate(updateSubscriptionSchema), updateSubscription);
 
 // This route GETS subscribers of a specific channel
-router.route("/u/:channelId").get(getUserChannelSubscribers);
+router.route("/u/:channelId").get(validate(channelSubscribersSchema), getUserChannelSubscribers);
 
 export default router
\ No newline at end of file
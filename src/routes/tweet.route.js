@@ -7,13 +7,22 @@ import {
     getAllTweets
 } from "../controllers/tweet.controller.js"
 import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {validate} from "../middlewares/validate.middleware.js"
+import {rateLimit} from "../middlewares/rateLimit.middleware.js"
+import {
+    tweetContentSchema,
+    allTweetsSchema,
+    userTweetsSchema,
+    updateTweetSchema,
+    tweetIdSchema
+} from "../validators/tweet.validator.js"
 
 const router = Router();
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
-router.route("/").post(createTweet).get(getAllTweets); 
-router.route("/user/:userId").get(getUserTweets);
-router.route("/:tweetId").patch(updateTweet)
-                        .delete(deleteTweet);
+router.route("/").post(rateLimit("write"), validate(tweetContentSchema), createTweet).get(validate(allTweetsSchema), getAllTweets);
+router.route("/user/:userId").get(validate(userTweetsSchema), getUserTweets);
+router.route("/:tweetId").patch(validate(updateTweetSchema), updateTweet)
+                        .delete(validate(tweetIdSchema), deleteTweet);
 
 export default router
\ No newline at end of file
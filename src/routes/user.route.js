@@ -2,22 +2,60 @@ import { Router } from "express";
 import { 
     registerUser,
     loginUser,
+    verifyTwoFactorLogin,
     logoutUser,
     refreshAccessToken,
     changeCurrentPassword,
+    getSessions,
+    revokeSession,
+    logoutAllDevices,
+    verifyEmail,
+    resendVerificationEmail,
+    forgotPassword,
+    resetPassword,
+    setupTwoFactor,
+    confirmTwoFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
     getCurrentUser,
     updateAccountDetails,
     updateUserAvatar,
     updateUserCoverImage,
     getUserChannelProfile,
-    getWatchHistory
+    getWatchHistory,
+    updateWatchProgress,
+    removeFromWatchHistory,
+    clearWatchHistory,
+    toggleWatchHistoryPause
 } from "../controllers/user.controller.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { verifyJWT } from "../middlewares/auth.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import {
+    registerUserSchema,
+    loginUserSchema,
+    twoFactorLoginSchema,
+    twoFactorCodeSchema,
+    disableTwoFactorSchema,
+    refreshAccessTokenSchema,
+    changePasswordSchema,
+    sessionSchema,
+    verifyEmailSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    updateAccountDetailsSchema,
+    channelProfileSchema,
+    watchHistorySchema,
+    watchProgressSchema,
+    watchHistoryEntrySchema,
+    pauseWatchHistorySchema
+} from "../validators/user.validator.js";
 
 const router = Router()
 
 router.route("/register").post(
+    rateLimit("account"),
     upload.fields([
         {
             name:"avatar",
@@ -28,23 +66,42 @@ router.route("/register").post(
             maxCount:1
         }
     ]),
+    validate(registerUserSchema),
     registerUser
 )
 
-router.route("/login").post(loginUser)
+router.route("/login").post(rateLimit("login"), validate(loginUserSchema), loginUser)
+router.route("/login/2fa").post(rateLimit("login"), validate(twoFactorLoginSchema), verifyTwoFactorLogin)
+router.route("/verifyEmail").post(rateLimit("account"), validate(verifyEmailSchema), verifyEmail)
+router.route("/forgotPassword").post(rateLimit("account"), validate(forgotPasswordSchema), forgotPassword)
+router.route("/resetPassword").post(rateLimit("account"), validate(resetPasswordSchema), resetPassword)
 
 //secured routes
 router.route("/logout").post(verifyJWT,logoutUser)
-router.route("/refreshToken").post(refreshAccessToken)
-router.route("/changePassword").post(verifyJWT, changeCurrentPassword)
+router.route("/logoutAll").post(verifyJWT, logoutAllDevices)
+router.route("/sessions").get(verifyJWT, getSessions)
+router.route("/sessions/:sessionId").delete(verifyJWT, validate(sessionSchema), revokeSession)
+router.route("/refreshToken").post(rateLimit("tokenRefresh"), validate(refreshAccessTokenSchema), refreshAccessToken)
+router.route("/verifyEmail/resend").post(verifyJWT, rateLimit("account"), resendVerificationEmail)
+router.route("/2fa/setup").post(verifyJWT, setupTwoFactor)
+router.route("/2fa/confirm").post(verifyJWT, rateLimit("login"), validate(twoFactorCodeSchema), confirmTwoFactor)
+router.route("/2fa/recoveryCodes").post(verifyJWT, rateLimit("login"), validate(twoFactorCodeSchema), regenerateRecoveryCodes)
+router.route("/2fa/disable").post(verifyJWT, rateLimit("login"), validate(disableTwoFactorSchema), disableTwoFactor)
+router.route("/changePassword").post(verifyJWT, validate(changePasswordSchema), changeCurrentPassword)
 router.route("/currentUser").get(verifyJWT, getCurrentUser)
-router.route("/updateAccountDetails").patch(verifyJWT, updateAccountDetails)
+router.route("/updateAccountDetails").patch(verifyJWT, validate(updateAccountDetailsSchema), updateAccountDetails)
 
 router.route("/avatar").patch(verifyJWT, upload.single("avatar"), updateUserAvatar)
 router.route("/coverImage").patch(verifyJWT, upload.single("coverImage"), updateUserCoverImage)
 
-router.route("/channel/:username").get(verifyJWT, getUserChannelProfile)
-router.route("/watchHistory").get(verifyJWT, getWatchHistory)
+router.route("/channel/:username").get(verifyJWT, validate(channelProfileSchema), getUserChannelProfile)
+router.route("/watchHistory")
+    .get(verifyJWT, validate(watchHistorySchema), getWatchHistory)
+    .delete(verifyJWT, clearWatchHistory)
+router.route("/watchHistory/pause").patch(verifyJWT, validate(pauseWatchHistorySchema), toggleWatchHistoryPause)
+router.route("/watchHistory/:videoId")
+    .patch(verifyJWT, validate(watchProgressSchema), updateWatchProgress)
+    .delete(verifyJWT, validate(watchHistoryEntrySchema), removeFromWatchHistory)
 
 
 
@@ -1,23 +1,56 @@
-import { Router } from 'express';
+import express, { Router } from 'express';
 import {
     deleteVideo,
     getAllVideos,
+    getVideoStatus,
     getVideoById,
+    getTrendingVideos,
+    getRelatedVideos,
+    addVideoView,
     publishAVideo,
     togglePublishStatus,
     updateVideo,
 } from "../controllers/video.controller.js"
-import {verifyJWT} from "../middlewares/auth.middleware.js"
+import {
+    createUploadSession,
+    uploadChunk,
+    getUploadSession,
+    completeUploadSession,
+    cancelUploadSession,
+} from "../controllers/upload.controller.js"
+import {verifyJWT, requireVerifiedEmail} from "../middlewares/auth.middleware.js"
 import {upload} from "../middlewares/multer.middleware.js"
 import { verifyJWTOptional } from "../middlewares/auth.optional.middleware.js";
+import { validate } from "../middlewares/validate.middleware.js";
+import { rateLimit } from "../middlewares/rateLimit.middleware.js";
+import { identifyViewer } from "../middlewares/viewer.middleware.js";
+import {
+    getAllVideosSchema,
+    trendingVideosSchema,
+    relatedVideosSchema,
+    videoViewSchema,
+    videoIdSchema,
+    publishVideoSchema,
+    updateVideoSchema,
+    createUploadSessionSchema,
+    uploadSessionIdSchema,
+    uploadChunkSchema,
+    completeUploadSessionSchema
+} from "../validators/video.validator.js";
 
 const router = Router();
-router.route("/").get(verifyJWTOptional, getAllVideos);
-router.route("/:videoId").get(verifyJWTOptional, getVideoById);
+router.route("/").get(verifyJWTOptional, validate(getAllVideosSchema), getAllVideos);
+router.route("/trending").get(validate(trendingVideosSchema), getTrendingVideos);
+router.route("/:videoId").get(verifyJWTOptional, validate(videoIdSchema), getVideoById);
+// the player reports a view once the minimum watch time is reached
+router.route("/:videoId/views").post(verifyJWTOptional, rateLimit("reaction"), identifyViewer, validate(videoViewSchema), addVideoView);
+router.route("/:videoId/related").get(validate(relatedVideosSchema), getRelatedVideos);
 router.use(verifyJWT); // Apply verifyJWT middleware to all routes in this file
 
 router.route("/")
     .post(
+        requireVerifiedEmail,
+        rateLimit("upload"),
         upload.fields([
             {
                 name: "videoFile",
@@ -29,14 +62,34 @@ router.route("/")
             },
             
         ]),
+        validate(publishVideoSchema),
         publishAVideo
     );
 
 router
     .route("/:videoId")
-    .delete(deleteVideo)
-    .patch(upload.single("thumbnail"), updateVideo);
+    .delete(validate(videoIdSchema), deleteVideo)
+    .patch(upload.single("thumbnail"), validate(updateVideoSchema), updateVideo);
+
+// resumable uploads: create a session, PUT chunks, then complete it
+router.route("/uploads").post(requireVerifiedEmail, rateLimit("upload"), validate(createUploadSessionSchema), createUploadSession);
+router.route("/uploads/:sessionId")
+    .get(validate(uploadSessionIdSchema), getUploadSession)
+    .delete(validate(uploadSessionIdSchema), cancelUploadSession);
+router.route("/uploads/:sessionId/chunks/:index").put(
+    express.raw({ type: "application/octet-stream", limit: "10mb" }),
+    validate(uploadChunkSchema),
+    uploadChunk
+);
+router.route("/uploads/:sessionId/complete").post(
+    requireVerifiedEmail,
+    upload.single("thumbnail"),
+    validate(completeUploadSessionSchema),
+    completeUploadSession
+);
+
+router.route("/:videoId/status").get(validate(videoIdSchema), getVideoStatus);
 
-router.route("/toggle/publish/:videoId").patch(togglePublishStatus);
+router.route("/toggle/publish/:videoId").patch(validate(videoIdSchema), togglePublishStatus);
 
 export default router
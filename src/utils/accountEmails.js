@@ -0,0 +1,54 @@
+import { sendMail } from "./mailer/index.js"
+import { issueAccountToken } from "./accountTokens.js"
+
+// links point at the frontend, which posts the token back to the API
+const appLink = (pathname, token) => {
+    const baseUrl = (process.env.APP_BASE_URL || "").replace(/\/$/, "")
+    return `${baseUrl}${pathname}?token=${encodeURIComponent(token)}`
+}
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`)
+
+const mailVerificationLink = async (user) => {
+    const link = appLink("/verify-email", await issueAccountToken(user, "email_verification"))
+    const sent = await sendMail({
+        to: user.email,
+        subject: "Verify your email address",
+        text: `Hi ${user.fullName},\n\nconfirm your email address to start publishing videos:\n${link}\n\nThe link is valid for 24 hours.`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>confirm your email address to start publishing videos:</p><p><a href="${link}">Verify email address</a></p><p>The link is valid for 24 hours.</p>`
+    })
+    return Boolean(sent)
+}
+
+const mailPasswordResetLink = async (user) => {
+    const link = appLink("/reset-password", await issueAccountToken(user, "password_reset"))
+    const sent = await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Hi ${user.fullName},\n\nsomeone asked to reset your password. If it was you, choose a new one here:\n${link}\n\nThe link is valid for 1 hour. If it wasn't you, ignore this mail, your password stays the same.`,
+        html: `<p>Hi ${escapeHtml(user.fullName)},</p><p>someone asked to reset your password. If it was you, choose a new one here:</p><p><a href="${link}">Reset password</a></p><p>The link is valid for 1 hour. If it wasn't you, ignore this mail, your password stays the same.</p>`
+    })
+    return Boolean(sent)
+}
+
+// Both resolve to whether the mail went out, they never throw
+
+const sendVerificationEmail = async (user) => {
+    try {
+        return await mailVerificationLink(user)
+    } catch (error) {
+        console.error("Failed to send verification email:", error)
+        return false
+    }
+}
+
+const sendPasswordResetEmail = async (user) => {
+    try {
+        return await mailPasswordResetLink(user)
+    } catch (error) {
+        console.error("Failed to send password reset email:", error)
+        return false
+    }
+}
+
+export { sendVerificationEmail, sendPasswordResetEmail }
@@ -0,0 +1,39 @@
+import { randomBytes } from "crypto"
+import { AccountToken } from "../models/accountToken.model.js"
+import { hashToken } from "./sessions.js"
+
+const HOUR_MS = 60 * 60 * 1000
+
+const TOKEN_TTL_MS = {
+    email_verification: 24 * HOUR_MS,
+    password_reset: HOUR_MS,
+    two_factor_login: 5 * 60 * 1000 // time to open the authenticator app after the password step
+}
+
+// Creates a token for user and purpose, earlier unused ones of the same purpose stop working
+const issueAccountToken = async (user, purpose) => {
+    const token = randomBytes(32).toString("hex")
+
+    await AccountToken.deleteMany({ user: user._id, purpose })
+    await AccountToken.create({
+        user: user._id,
+        purpose,
+        tokenHash: hashToken(token),
+        email: user.email,
+        expiresAt: new Date(Date.now() + TOKEN_TTL_MS[purpose])
+    })
+
+    return token
+}
+
+// Uses up a token, resolves to its document or null when it's unknown, expired or already used.
+// Deleting it in the same step makes sure two requests can't both use it
+const consumeAccountToken = async (token, purpose) => {
+    return await AccountToken.findOneAndDelete({
+        tokenHash: hashToken(token),
+        purpose,
+        expiresAt: { $gt: new Date() }
+    })
+}
+
+export { issueAccountToken, consumeAccountToken }
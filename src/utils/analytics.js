@@ -0,0 +1,75 @@
+// Date bucketing for the daily rollups and the analytics time series, all in UTC
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+const GRANULARITIES = ["day", "week", "month"]
+
+// longest range a series may span, fillSeries builds one entry per period
+const MAX_ANALYTICS_RANGE_DAYS = 731
+
+// midnight UTC of the given moment
+const startOfDay = (date = new Date()) =>
+    new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()))
+
+// start of the day, ISO week (Monday) or month the date falls in, same as $dateTrunc with startOfWeek "monday"
+const startOfPeriod = (date, granularity) => {
+    const day = startOfDay(date)
+    if (granularity === "week") {
+        const daysSinceMonday = (day.getUTCDay() + 6) % 7
+        return new Date(day.getTime() - daysSinceMonday * DAY_MS)
+    }
+    if (granularity === "month") {
+        return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), 1))
+    }
+    return day
+}
+
+const nextPeriod = (period, granularity) => {
+    if (granularity === "week") return new Date(period.getTime() + 7 * DAY_MS)
+    if (granularity === "month") return new Date(Date.UTC(period.getUTCFullYear(), period.getUTCMonth() + 1, 1))
+    return new Date(period.getTime() + DAY_MS)
+}
+
+// Aggregation expression for the period a rollup document's date falls in
+const periodExpression = (granularity, field = "$date") => ({
+    $dateTrunc: { date: field, unit: granularity, startOfWeek: "monday", timezone: "UTC" }
+})
+
+/**
+ * Turns aggregation rows of { period, ...counters } into one entry per period
+ * from `from` to `to`, so periods without activity show up as zeros.
+ */
+const fillSeries = (rows, { from, to, granularity, fields }) => {
+    const rowsByPeriod = new Map(rows.map((row) => [row.period.getTime(), row]))
+    const series = []
+
+    for (let period = startOfPeriod(from, granularity); period <= to; period = nextPeriod(period, granularity)) {
+        const row = rowsByPeriod.get(period.getTime())
+        const entry = { period }
+        for (const field of fields) {
+            entry[field] = row?.[field] || 0
+        }
+        series.push(entry)
+    }
+
+    return series
+}
+
+const sumSeries = (series, fields) => {
+    const totals = {}
+    for (const field of fields) {
+        totals[field] = series.reduce((total, entry) => total + entry[field], 0)
+    }
+    return totals
+}
+
+export {
+    DAY_MS,
+    GRANULARITIES,
+    MAX_ANALYTICS_RANGE_DAYS,
+    startOfDay,
+    startOfPeriod,
+    periodExpression,
+    fillSeries,
+    sumSeries
+}
@@ -0,0 +1,47 @@
+import fs from "fs"
+import path from "path"
+import { pipeline, finished } from "stream/promises"
+import { randomUUID } from "crypto"
+import { TEMP_DIR, safeExtension } from "../middlewares/multer.middleware.js"
+
+// Chunks of a resumable upload live in tmp/uploads/chunks/<sessionId>/<index>.part
+const CHUNKS_DIR = path.join(TEMP_DIR, "chunks")
+
+const getChunkDir = (sessionId) => path.join(CHUNKS_DIR, sessionId.toString())
+
+const getChunkPath = (sessionId, index) => path.join(getChunkDir(sessionId), `${index}.part`)
+
+const writeChunk = async (sessionId, index, buffer) => {
+    await fs.promises.mkdir(getChunkDir(sessionId), { recursive: true })
+    // write then rename so a half-written chunk is never mistaken for a received one
+    const chunkPath = getChunkPath(sessionId, index)
+    const partialPath = `${chunkPath}.${randomUUID()}.tmp`
+    await fs.promises.writeFile(partialPath, buffer)
+    await fs.promises.rename(partialPath, chunkPath)
+}
+
+// Concatenates every chunk in order into a single temp file and returns its path
+const assembleChunks = async (sessionId, totalChunks, fileName) => {
+    const outputPath = path.join(TEMP_DIR, `${randomUUID()}${safeExtension(fileName)}`)
+    const output = fs.createWriteStream(outputPath)
+
+    try {
+        for (let index = 0; index < totalChunks; index++) {
+            await pipeline(fs.createReadStream(getChunkPath(sessionId, index)), output, { end: false })
+        }
+        output.end()
+        await finished(output)
+    } catch (error) {
+        output.destroy()
+        await fs.promises.rm(outputPath, { force: true })
+        throw error
+    }
+
+    return outputPath
+}
+
+const removeChunks = async (sessionId) => {
+    await fs.promises.rm(getChunkDir(sessionId), { recursive: true, force: true })
+}
+
+export { writeChunk, assembleChunks, removeChunks }
@@ -0,0 +1,230 @@
+import {Video} from "../models/video.model.js"
+import {Like} from "../models/like.model.js"
+import {VideoDailyStats} from "../models/videoDailyStats.model.js"
+import {DiscoveryCache} from "../models/discoveryCache.model.js"
+import {publicVideoMatch} from "./videoSearch.js"
+
+const HOUR_MS = 60 * 60 * 1000
+
+const TRENDING_KEY = "trending"
+const TRENDING_WINDOW_DAYS = 7
+const TRENDING_HALF_LIFE_HOURS = 48
+const TRENDING_SIZE = 100
+
+const RELATED_SIZE = 20
+const RELATED_CANDIDATES = 50
+const CO_LIKE_SAMPLE = 500 // most recent likers of the video that are looked at
+
+// engagement weights, a like or comment says more than a view
+const WEIGHTS = {
+    view: 1,
+    like: 10,
+    comment: 20
+}
+
+// related video signals, text and co-likes are normalized to 0..1 first
+const RELATED_WEIGHTS = {
+    text: 3,
+    coLike: 2,
+    sameChannel: 1
+}
+
+const relatedKey = (videoId) => `related:${videoId}`
+
+/**
+ * Trending score: every view, like and comment counts for less the older it is,
+ * halving every TRENDING_HALF_LIFE_HOURS. Views come from the daily rollup, so they decay per day.
+ * Only videos uploaded or engaged with inside the window are ranked: the pipeline starts from
+ * the window's engagement and recent uploads, the videos themselves are only joined at the end.
+ */
+const computeTrending = async () => {
+    const now = new Date()
+    const windowStart = new Date(now.getTime() - TRENDING_WINDOW_DAYS * 24 * HOUR_MS)
+    const decay = (date) => ({
+        $pow: [0.5, { $divide: [{ $subtract: [now, date] }, TRENDING_HALF_LIFE_HOURS * HOUR_MS] }]
+    })
+    // one { video, score } per engagement document, summed per video below
+    const scored = (videoField, score) => ({
+        $project: { _id: 0, video: videoField, score }
+    })
+
+    return await VideoDailyStats.aggregate([
+        {
+            $match: { date: { $gte: windowStart }, views: { $gt: 0 } }
+        },
+        scored("$video", { $multiply: [WEIGHTS.view, "$views", decay("$date")] }),
+        {
+            $unionWith: {
+                coll: "likes",
+                pipeline: [
+                    { $match: { createdAt: { $gte: windowStart }, video: { $ne: null } } },
+                    scored("$video", { $multiply: [WEIGHTS.like, decay("$createdAt")] })
+                ]
+            }
+        },
+        {
+            $unionWith: {
+                coll: "comments",
+                pipeline: [
+                    { $match: { createdAt: { $gte: windowStart }, video: { $ne: null }, isDeleted: { $ne: true } } },
+                    scored("$video", { $multiply: [WEIGHTS.comment, decay("$createdAt")] })
+                ]
+            }
+        },
+        {
+            // fresh uploads are ranked even before anyone engaged with them
+            $unionWith: {
+                coll: "videos",
+                pipeline: [
+                    { $match: { createdAt: { $gte: windowStart }, ...publicVideoMatch() } },
+                    scored("$_id", { $literal: 0 })
+                ]
+            }
+        },
+        {
+            $group: { _id: "$video", score: { $sum: "$score" } }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "_id",
+                foreignField: "_id",
+                as: "publicVideo",
+                pipeline: [
+                    { $match: publicVideoMatch() },
+                    { $project: { _id: 1 } }
+                ]
+            }
+        },
+        {
+            $match: { "publicVideo.0": { $exists: true } }
+        },
+        {
+            $project: { _id: 0, video: "$_id", score: 1 }
+        },
+        {
+            $sort: { score: -1, video: -1 }
+        },
+        {
+            $limit: TRENDING_SIZE
+        }
+    ])
+}
+
+// Plain terms for $text: quotes would turn them into a phrase and a leading - into an exclusion
+const textSearchTerms = (text) => {
+    return text
+        .replace(/"/g, " ")
+        .split(/\s+/)
+        .map((term) => term.replace(/^-+/, ""))
+        .filter(Boolean)
+        .join(" ")
+}
+
+/**
+ * Related videos: shared title/description terms (text index score),
+ * videos liked by the same people and uploads from the same channel.
+ */
+const computeRelated = async (video) => {
+    const scores = new Map()
+    const addScore = (videoId, points) => {
+        const key = videoId.toString()
+        scores.set(key, (scores.get(key) || 0) + points)
+    }
+
+    const searchTerms = textSearchTerms(`${video.title} ${video.description}`.slice(0, 500))
+    const textMatches = !searchTerms ? [] : await Video.aggregate([
+        {
+            $match: {
+                $text: { $search: searchTerms },
+                _id: { $ne: video._id },
+                ...publicVideoMatch()
+            }
+        },
+        { $addFields: { score: { $meta: "textScore" } } },
+        { $sort: { score: -1 } },
+        { $limit: RELATED_CANDIDATES },
+        { $project: { score: 1 } }
+    ])
+    const topTextScore = textMatches[0]?.score || 1
+    textMatches.forEach(({ _id, score }) => addScore(_id, RELATED_WEIGHTS.text * score / topTextScore))
+
+    const likers = (
+        await Like.find({ video: video._id })
+            .sort({ createdAt: -1 })
+            .limit(CO_LIKE_SAMPLE)
+            .select("likedBy")
+    ).map((like) => like.likedBy)
+    if (likers.length) {
+        const coLikes = await Like.aggregate([
+            { $match: { likedBy: { $in: likers }, video: { $exists: true, $nin: [null, video._id] } } },
+            { $group: { _id: "$video", count: { $sum: 1 } } },
+            { $sort: { count: -1 } },
+            { $limit: RELATED_CANDIDATES }
+        ])
+        const topCount = coLikes[0]?.count || 1
+        coLikes.forEach(({ _id, count }) => addScore(_id, RELATED_WEIGHTS.coLike * count / topCount))
+    }
+
+    const channelVideos = await Video.find({
+        ...publicVideoMatch(),
+        owner: video.owner,
+        _id: { $ne: video._id }
+    })
+        .sort({ createdAt: -1 })
+        .limit(RELATED_CANDIDATES)
+        .select("_id")
+    channelVideos.forEach(({ _id }) => addScore(_id, RELATED_WEIGHTS.sameChannel))
+
+    // co-liked videos may have been unpublished since
+    const publicIds = new Set(
+        (await Video.find({ _id: { $in: [...scores.keys()] }, ...publicVideoMatch() }).distinct("_id"))
+            .map((id) => id.toString())
+    )
+
+    return [...scores.entries()]
+        .filter(([videoId]) => publicIds.has(videoId))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, RELATED_SIZE)
+        .map(([videoId, score]) => ({ video: videoId, score }))
+}
+
+const storeRanking = async (key, videos) => {
+    return await DiscoveryCache.findOneAndUpdate(
+        { key },
+        { $set: { videos, computedAt: new Date() } },
+        { upsert: true, new: true, lean: true }
+    )
+}
+
+const refreshTrending = async () => storeRanking(TRENDING_KEY, await computeTrending())
+
+const refreshRelated = async (video) => storeRanking(relatedKey(video._id), await computeRelated(video))
+
+// Reads never compute, except the very first time before the scheduler got to it
+const getTrendingRanking = async () => {
+    const cached = await DiscoveryCache.findOne({ key: TRENDING_KEY }).lean()
+    return cached || await refreshTrending()
+}
+
+const getRelatedRanking = async (video) => {
+    // lastRequestedAt tells the scheduler which related lists are still worth refreshing
+    const cached = await DiscoveryCache.findOneAndUpdate(
+        { key: relatedKey(video._id) },
+        { $set: { lastRequestedAt: new Date() } },
+        { new: true, lean: true }
+    )
+    return cached || await refreshRelated(video)
+}
+
+export {
+    TRENDING_KEY,
+    textSearchTerms,
+    relatedKey,
+    computeTrending,
+    computeRelated,
+    refreshTrending,
+    refreshRelated,
+    getTrendingRanking,
+    getRelatedRanking
+}
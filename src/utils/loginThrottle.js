@@ -0,0 +1,159 @@
+import bcrypt from "bcrypt"
+import { LoginAttempt } from "../models/loginAttempt.model.js"
+import { AuditLog } from "../models/auditLog.model.js"
+
+const MINUTE_MS = 60 * 1000
+
+// An ip is shared by everyone behind it, so it gets far more room than one account
+const POLICIES = {
+    account: {
+        freeAttempts: 3, // failures before delays start
+        maxFailures: 10, // failures inside the window that lock
+        baseDelayMs: 1000, // doubles with every further failure
+        maxDelayMs: 30 * 1000,
+        windowMs: 15 * MINUTE_MS,
+        lockoutMs: 15 * MINUTE_MS
+    },
+    ip: {
+        freeAttempts: 10,
+        maxFailures: 100,
+        baseDelayMs: 1000,
+        maxDelayMs: 30 * 1000,
+        windowMs: 15 * MINUTE_MS,
+        lockoutMs: 30 * MINUTE_MS
+    }
+}
+
+// compared against when the identifier is unknown, so that takes as long as a wrong password
+const UNKNOWN_USER_HASH = bcrypt.hashSync("unknown-user-placeholder", 10)
+
+const accountKey = (user, identifier) => user ? `user:${user._id}` : `identifier:${identifier}`
+const ipKey = (ip) => `ip:${ip}`
+
+/**
+ * Milliseconds until the account and ip may try again, 0 when they may now.
+ * Unknown identifiers are tracked and locked like accounts, so the answer
+ * doesn't tell whether an account exists.
+ */
+const getLoginRetryAfter = async ({ user, identifier, ip }) => {
+    const attempts = await LoginAttempt.find({
+        key: { $in: [accountKey(user, identifier), ipKey(ip)] }
+    }).lean()
+
+    const now = Date.now()
+    return attempts.reduce((retryAfter, attempt) => {
+        const until = Math.max(attempt.lockedUntil?.getTime() || 0, attempt.nextAttemptAt?.getTime() || 0)
+        return Math.max(retryAfter, until - now)
+    }, 0)
+}
+
+const passwordMatches = async (user, password) => {
+    if (user) return await user.isPasswordCorrect(password)
+    await bcrypt.compare(password, UNKNOWN_USER_HASH)
+    return false
+}
+
+// Counts a failure on key, delaying or locking it per policy. Resolves to true when this locked it
+const countFailure = async (key, policy) => {
+    const now = new Date()
+    const windowStart = new Date(now.getTime() - policy.windowMs)
+
+    const attempt = await LoginAttempt.findOneAndUpdate(
+        { key },
+        [
+            {
+                $set: {
+                    key,
+                    // failures older than the window are forgotten
+                    failures: {
+                        $cond: [
+                            { $lt: [{ $ifNull: ["$lastFailureAt", null] }, windowStart] },
+                            1,
+                            { $add: ["$failures", 1] }
+                        ]
+                    },
+                    lastFailureAt: now,
+                    expiresAt: new Date(now.getTime() + Math.max(policy.windowMs, policy.lockoutMs))
+                }
+            }
+        ],
+        { upsert: true, new: true }
+    )
+
+    if (attempt.failures >= policy.maxFailures) {
+        // conditional, so concurrent failures lock (and audit) only once
+        const locked = await LoginAttempt.updateOne(
+            { key, failures: { $gte: policy.maxFailures } },
+            {
+                $set: {
+                    failures: 0,
+                    lockedUntil: new Date(now.getTime() + policy.lockoutMs),
+                    nextAttemptAt: null
+                }
+            }
+        )
+        return locked.modifiedCount > 0
+    }
+
+    if (attempt.failures > policy.freeAttempts) {
+        const delayMs = Math.min(
+            policy.baseDelayMs * 2 ** (attempt.failures - policy.freeAttempts - 1),
+            policy.maxDelayMs
+        )
+        await LoginAttempt.updateOne(
+            { key },
+            { $set: { nextAttemptAt: new Date(now.getTime() + delayMs) } }
+        )
+    }
+    return false
+}
+
+// Records a failed login for the account and ip, with an audit entry for every lockout it causes
+const recordLoginFailure = async ({ user, identifier, ip }) => {
+    const [isAccountLocked, isIpLocked] = await Promise.all([
+        countFailure(accountKey(user, identifier), POLICIES.account),
+        countFailure(ipKey(ip), POLICIES.ip)
+    ])
+
+    const lockouts = []
+    if (isAccountLocked) {
+        lockouts.push({
+            action: "login.lockout",
+            targetUser: user?._id,
+            ip,
+            details: { scope: "account", identifier, lockoutMs: POLICIES.account.lockoutMs }
+        })
+    }
+    if (isIpLocked) {
+        lockouts.push({
+            action: "login.lockout",
+            ip,
+            details: { scope: "ip", identifier, lockoutMs: POLICIES.ip.lockoutMs }
+        })
+    }
+    if (lockouts.length) {
+        await AuditLog.insertMany(lockouts)
+    }
+}
+
+// A successful login or password reset starts the account over, the ip's count stays
+const clearLoginFailures = async (user) => {
+    const result = await LoginAttempt.deleteOne({ key: accountKey(user) })
+    return result.deletedCount > 0
+}
+
+// Whether the account is locked out right now
+const isAccountLocked = async (user) => {
+    return Boolean(await LoginAttempt.exists({
+        key: accountKey(user),
+        lockedUntil: { $gt: new Date() }
+    }))
+}
+
+export {
+    getLoginRetryAfter,
+    passwordMatches,
+    recordLoginFailure,
+    clearLoginFailures,
+    isAccountLocked
+}
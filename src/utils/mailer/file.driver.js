@@ -0,0 +1,24 @@
+import fs from "fs/promises"
+import path from "path"
+import { randomUUID } from "crypto"
+
+// Local development only: every mail is written to MAIL_DIR and announced on the console,
+// so verification and reset links can be followed without a mail server. Refused in production
+const MAIL_DIR = path.resolve(process.env.MAIL_DIR || "temp/mail")
+
+const fileDriver = {
+    name: "file",
+
+    async send({ from, to, subject, text, html }) {
+        const messageId = randomUUID()
+        const file = path.join(MAIL_DIR, `${new Date().toISOString().replace(/[:.]/g, "-")}-${messageId}.json`)
+
+        await fs.mkdir(MAIL_DIR, { recursive: true })
+        await fs.writeFile(file, JSON.stringify({ messageId, from, to, subject, text, html }, null, 2))
+        console.log(`Mail to ${to}: "${subject}" written to ${file}\n${text}`)
+
+        return { messageId }
+    }
+}
+
+export { fileDriver }
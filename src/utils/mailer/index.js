@@ -0,0 +1,46 @@
+import { smtpDriver } from "./smtp.driver.js"
+import { fileDriver } from "./file.driver.js"
+
+const drivers = {
+    [smtpDriver.name]: smtpDriver,
+    [fileDriver.name]: fileDriver
+}
+
+// MAIL_DRIVER picks the backend, without one mail goes over SMTP only when a host is configured.
+// The file driver prints every mail, tokens included, so production never falls back to it
+const getDriver = (name = process.env.MAIL_DRIVER || (process.env.SMTP_HOST ? "smtp" : "file")) => {
+    const driver = drivers[name]
+    if (!driver) {
+        throw new Error(`Unknown mail driver "${name}"`)
+    }
+    if (driver === fileDriver && process.env.NODE_ENV === "production") {
+        throw new Error("The file mail driver can't be used in production, configure SMTP_HOST")
+    }
+    return driver
+}
+
+// Called on startup so a missing mail setup fails the deploy instead of the first mail
+const assertMailConfigured = () => {
+    getDriver()
+}
+
+// Sends { to, subject, text, html }. Resolves to { messageId } or null on failure,
+// callers decide whether a mail that didn't go out fails the request
+const sendMail = async ({ to, subject, text, html }) => {
+    let driver
+    try {
+        driver = getDriver()
+        return await driver.send({
+            from: process.env.MAIL_FROM || "VideoTweet <no-reply@localhost>",
+            to,
+            subject,
+            text,
+            html
+        })
+    } catch (error) {
+        console.error(`Sending mail through ${driver?.name || "no"} driver failed:`, error)
+        return null
+    }
+}
+
+export { sendMail, assertMailConfigured }
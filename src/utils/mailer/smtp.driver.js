@@ -0,0 +1,29 @@
+import nodemailer from "nodemailer"
+
+let transport
+
+// Created on first use so the app starts without SMTP settings when another driver is used
+const getTransport = () => {
+    if (!transport) {
+        transport = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === "true", // true for port 465, STARTTLS is used otherwise
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+                : undefined
+        })
+    }
+    return transport
+}
+
+const smtpDriver = {
+    name: "smtp",
+
+    async send({ from, to, subject, text, html }) {
+        const info = await getTransport().sendMail({ from, to, subject, text, html })
+        return { messageId: info.messageId }
+    }
+}
+
+export { smtpDriver }
@@ -0,0 +1,215 @@
+import { Notification } from "../models/notification.model.js"
+import { Subscription } from "../models/subscription.model.js"
+import { User } from "../models/user.model.js"
+import { WatchHistory } from "../models/watchHistory.model.js"
+import { publishMany } from "./realtime.js"
+
+const AGGREGATION_WINDOW_MS = 6 * 60 * 60 * 1000 // unread notifications this recent absorb new activity
+const MAX_ACTORS = 3
+const FAN_OUT_BATCH_SIZE = 500
+const PERSONALIZED_WINDOW_MS = 30 * 24 * 60 * 60 * 1000 // "personalized" subscribers who watched the channel this recently
+
+// users who didn't turn the type off, users from before preferences existed have none stored
+const wantsType = (type) => ({ [`notificationPreferences.${type}`]: { $ne: false } })
+
+/**
+ * Notifies recipient that actor did something of the given type to entity.
+ * Activity on the same entity joins an unread notification from the last few hours
+ * instead of creating a new one, so a burst reads "X and 12 others liked your video".
+ *
+ * Best effort: a failure is logged and never fails the action that triggered it.
+ */
+const notify = async ({ recipient, type, actor, entityType, entity }) => {
+    try {
+        // nobody is notified about their own activity
+        if (recipient.toString() === actor.toString()) return null
+
+        const wantsIt = await User.exists({ _id: recipient, ...wantsType(type) })
+        if (!wantsIt) return null
+
+        const now = new Date()
+        const openGroup = {
+            recipient,
+            type,
+            entity,
+            isRead: false,
+            lastActivityAt: { $gte: new Date(now.getTime() - AGGREGATION_WINDOW_MS) }
+        }
+
+        let notification = await Notification.findOneAndUpdate(
+            // the actor check only sees the latest few actors, that's good enough to skip a like-unlike-like
+            { ...openGroup, actors: { $ne: actor } },
+            {
+                $push: { actors: { $each: [actor], $position: 0, $slice: MAX_ACTORS } },
+                $inc: { actorCount: 1 },
+                $set: { lastActivityAt: now }
+            },
+            { new: true }
+        )
+
+        if (!notification) {
+            if (await Notification.exists({ ...openGroup, actors: actor })) return null
+
+            notification = await Notification.create({
+                recipient,
+                type,
+                entityType,
+                entity,
+                actors: [actor],
+                lastActivityAt: now
+            })
+        }
+
+        await pushNotifications([notification.toObject()])
+        return notification
+    } catch (error) {
+        console.error(`Failed to create ${type} notification:`, error)
+        return null
+    }
+}
+
+// Of the given users, the ones who watched a video of channel recently
+const recentWatchersOf = async (channel, users) => {
+    if (!users.length) return []
+    const watchers = await WatchHistory.aggregate([
+        {
+            $match: {
+                user: { $in: users },
+                watchedAt: { $gte: new Date(Date.now() - PERSONALIZED_WINDOW_MS) }
+            }
+        },
+        {
+            $lookup: {
+                from: "videos",
+                localField: "video",
+                foreignField: "_id",
+                as: "video",
+                pipeline: [
+                    { $match: { owner: channel } },
+                    { $project: { _id: 1 } }
+                ]
+            }
+        },
+        { $match: { "video.0": { $exists: true } } },
+        { $group: { _id: "$user" } }
+    ])
+    return watchers.map((watcher) => watcher._id)
+}
+
+/**
+ * Tells the subscribers of the video's channel about the upload, going by each
+ * subscription's notification level and mute.
+ * Upserts one notification per subscriber and video, so running it twice is harmless.
+ */
+const notifySubscribersOfUpload = async (video) => {
+    let notified = 0
+    let batch = []
+    let personalized = []
+
+    const flush = async () => {
+        batch.push(...await recentWatchersOf(video.owner, personalized))
+        const recipients = await User.find({ _id: { $in: batch }, ...wantsType("new_video") }).distinct("_id")
+        if (recipients.length) {
+            const now = new Date()
+            const result = await Notification.bulkWrite(recipients.map((recipient) => ({
+                updateOne: {
+                    filter: { recipient, type: "new_video", entity: video._id },
+                    update: {
+                        $setOnInsert: {
+                            entityType: "Video",
+                            actors: [video.owner],
+                            actorCount: 1,
+                            isRead: false,
+                            lastActivityAt: now
+                        }
+                    },
+                    upsert: true
+                }
+            })))
+
+            // only the ones this run created, a rerun doesn't push them twice
+            const createdIds = Object.values(result.upsertedIds || {})
+            if (createdIds.length) {
+                await pushNotifications(await Notification.find({ _id: { $in: createdIds } }).lean())
+            }
+        }
+        notified += recipients.length
+        batch = []
+        personalized = []
+    }
+
+    // subscriptions without a level are from before levels existed and get everything
+    const subscriptions = Subscription.find({
+        channel: video.owner,
+        notificationLevel: { $ne: "none" },
+        $or: [{ mutedUntil: null }, { mutedUntil: { $lte: new Date() } }]
+    })
+        .select("subscriber notificationLevel")
+        .cursor()
+    for await (const subscription of subscriptions) {
+        if (subscription.notificationLevel === "personalized") personalized.push(subscription.subscriber)
+        else batch.push(subscription.subscriber)
+        if (batch.length + personalized.length >= FAN_OUT_BATCH_SIZE) await flush()
+    }
+    if (batch.length || personalized.length) await flush()
+
+    return notified
+}
+
+const ENTITY_NOUNS = {
+    Video: "video",
+    Tweet: "tweet",
+    Playlist: "playlist"
+}
+
+// entity must be populated with title, name or content, actors with fullName and username
+const describeNotification = (notification) => {
+    const actor = notification.actors?.[0]
+    const actorName = actor?.fullName || actor?.username || "Someone"
+    const others = notification.actorCount - 1
+    const who = others > 0
+        ? `${actorName} and ${others} ${others === 1 ? "other" : "others"}`
+        : actorName
+
+    const entity = notification.entity
+    const entityTitle = entity?.title || entity?.name
+    const about = entityTitle ? ` "${entityTitle}"` : ""
+
+    switch (notification.type) {
+        case "subscription":
+            return `${who} subscribed to your channel`
+        case "video_like":
+            return `${who} liked your video${about}`
+        case "comment":
+            return `${who} commented on your ${ENTITY_NOUNS[notification.entityType] || "post"}${about}`
+        case "new_video":
+            return `${actorName} uploaded${about || " a new video"}`
+        default:
+            return `${who} interacted with your channel`
+    }
+}
+
+// Fills in actors and entity and renders the text, e.g. "X and 12 others liked your video".
+// Takes plain objects, as returned by aggregations or lean queries
+const presentNotifications = async (notifications) => {
+    await Notification.populate(notifications, [
+        { path: "actors", select: "username fullName avatar" },
+        { path: "entity", select: "title name thumbnail username" }
+    ])
+    return notifications.map((notification) => ({
+        ...notification,
+        message: describeNotification(notification)
+    }))
+}
+
+// Pushes notifications to their recipients' open streams
+const pushNotifications = async (notifications) => {
+    const presented = await presentNotifications(notifications)
+    await publishMany(presented.map((notification) => ({
+        topic: `user:${notification.recipient}`,
+        event: "notification",
+        data: notification
+    })))
+}
+
+export { notify, notifySubscribersOfUpload, describeNotification, presentNotifications }
@@ -0,0 +1,127 @@
+import mongoose from "mongoose"
+import { ApiError } from "./ApiError.js"
+
+// Cursors are opaque to clients: base64url encoded JSON
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString("base64url")
+
+const isPlainObject = (value) =>
+    typeof value === "object" && value !== null && Object.getPrototypeOf(value) === Object.prototype
+
+/**
+ * Decodes a cursor from encodeCursor. Clients can send anything, so it has to decode
+ * to a plain object that isValid accepts, or the request fails with 400 "Invalid cursor"
+ */
+const decodeCursor = (cursor, isValid = () => true) => {
+    let decoded
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"))
+    } catch (error) {
+        throw new ApiError(400, "Invalid cursor")
+    }
+    if (!isPlainObject(decoded) || !isValid(decoded)) {
+        throw new ApiError(400, "Invalid cursor")
+    }
+    return decoded
+}
+
+// Dates don't survive JSON, so they are tagged to be restored on the way back
+const serializeValue = (value) => value instanceof Date ? { date: value.toISOString() } : { value }
+const deserializeValue = (raw) => raw.date !== undefined ? new Date(raw.date) : raw.value
+
+// { field, id } plus the sort value, either plain or as a date string
+const isPaginationCursor = (decoded) =>
+    typeof decoded.field === "string" &&
+    typeof decoded.id === "string" &&
+    (decoded.date === undefined || (typeof decoded.date === "string" && !Number.isNaN(Date.parse(decoded.date)))) &&
+    (decoded.value === undefined || decoded.value === null || typeof decoded.value !== "object")
+
+const afterCursorMatch = (cursor, sortField, sortOrder) => {
+    const decoded = decodeCursor(cursor, isPaginationCursor)
+    if (decoded.field !== sortField || !mongoose.isObjectIdOrHexString(decoded.id)) {
+        throw new ApiError(400, "Cursor does not match the requested sort")
+    }
+
+    const value = deserializeValue(decoded)
+    const _id = new mongoose.Types.ObjectId(decoded.id)
+    const operator = sortOrder === -1 ? "$lt" : "$gt"
+
+    return {
+        $match: {
+            $or: [
+                { [sortField]: { [operator]: value } },
+                { [sortField]: value, _id: { [operator]: _id } }
+            ]
+        }
+    }
+}
+
+/**
+ * Shared pagination for list endpoints, runs an aggregation on Model in two modes:
+ * - cursor (default): opaque (sortField, _id) cursors that stay stable while new items arrive
+ * - offset: used when the client sends `page`, kept for backward compatibility
+ *
+ * match and preSortStages run before paging (preSortStages may compute the sort field),
+ * stages run only on the page that is returned, so put lookups there.
+ *
+ * Resolves to { items, nextCursor, hasMore } plus { page, limit, totalItems, totalPages } in offset mode.
+ */
+const paginate = async (Model, {
+    match = {},
+    preSortStages = [],
+    stages = [],
+    sortField = "createdAt",
+    sortOrder = -1,
+    cursor,
+    page,
+    limit = 10
+}) => {
+    const sortStage = { $sort: { [sortField]: sortOrder, _id: sortOrder } }
+
+    if (page && !cursor) {
+        const [result] = await Model.aggregate([
+            { $match: match },
+            ...preSortStages,
+            {
+                $facet: {
+                    items: [sortStage, { $skip: (page - 1) * limit }, { $limit: limit }, ...stages],
+                    total: [{ $count: "count" }]
+                }
+            }
+        ])
+
+        const totalItems = result.total[0]?.count || 0
+        const totalPages = Math.ceil(totalItems / limit)
+        return {
+            items: result.items,
+            nextCursor: null,
+            hasMore: page < totalPages,
+            page,
+            limit,
+            totalItems,
+            totalPages
+        }
+    }
+
+    const items = await Model.aggregate([
+        { $match: match },
+        ...preSortStages,
+        ...(cursor ? [afterCursorMatch(cursor, sortField, sortOrder)] : []),
+        sortStage,
+        { $limit: limit + 1 }, // one extra tells us whether there is another page
+        ...stages
+    ])
+
+    const hasMore = items.length > limit
+    const pageItems = items.slice(0, limit)
+    const last = pageItems[pageItems.length - 1]
+
+    return {
+        items: pageItems,
+        nextCursor: hasMore
+            ? encodeCursor({ field: sortField, ...serializeValue(last[sortField]), id: last._id.toString() })
+            : null,
+        hasMore
+    }
+}
+
+export { paginate, encodeCursor, decodeCursor }
@@ -0,0 +1,57 @@
+import { memoryStore } from "./memory.store.js"
+import { mongoStore } from "./mongo.store.js"
+
+const stores = {
+    [memoryStore.name]: memoryStore,
+    [mongoStore.name]: mongoStore
+}
+
+// RATE_LIMIT_STORE picks where requests are counted, run several instances with "mongo"
+const getStore = (name = process.env.RATE_LIMIT_STORE || "memory") => {
+    const store = stores[name]
+    if (!store) {
+        throw new Error(`Unknown rate limit store "${name}"`)
+    }
+    return store
+}
+
+const FAILURE_LOG_INTERVAL_MS = 60 * 1000
+let lastFailureLoggedAt = 0
+
+// once a minute is enough to notice, every request would flood the log during an outage
+const reportStoreFailure = (store, error) => {
+    if (Date.now() - lastFailureLoggedAt < FAILURE_LOG_INTERVAL_MS) return
+    lastFailureLoggedAt = Date.now()
+    console.error(`Rate limit store "${store.name}" failed, counting in memory meanwhile:`, error)
+}
+
+/**
+ * Counts a request of identity against policy in fixed windows.
+ * Resolves to { limit, remaining, resetAt, isLimited }.
+ */
+const hitRateLimit = async (policyName, { limit, windowMs }, identity) => {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs
+    const resetAt = new Date(windowStart + windowMs)
+
+    const key = `${policyName}:${identity}:${windowStart}`
+    const store = getStore()
+
+    let count
+    try {
+        count = await store.increment(key, resetAt)
+    } catch (error) {
+        // an outage of the shared store keeps limits per instance instead of dropping them
+        if (store === memoryStore) throw error
+        reportStoreFailure(store, error)
+        count = await memoryStore.increment(key, resetAt)
+    }
+
+    return {
+        limit,
+        remaining: Math.max(limit - count, 0),
+        resetAt,
+        isLimited: count > limit
+    }
+}
+
+export { hitRateLimit }
@@ -0,0 +1,36 @@
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+// key -> { count, expiresAt }
+const counters = new Map()
+let sweepTimer = null
+
+// Drops finished windows so idle keys don't pile up
+const sweep = () => {
+    const now = Date.now()
+    for (const [key, counter] of counters) {
+        if (counter.expiresAt <= now) counters.delete(key)
+    }
+}
+
+// Counts per process, fine for a single instance
+const memoryStore = {
+    name: "memory",
+
+    async increment(key, expiresAt) {
+        if (!sweepTimer) {
+            sweepTimer = setInterval(sweep, SWEEP_INTERVAL_MS)
+            sweepTimer.unref()
+        }
+
+        const counter = counters.get(key)
+        if (counter && counter.expiresAt > Date.now()) {
+            counter.count += 1
+            return counter.count
+        }
+
+        counters.set(key, { count: 1, expiresAt: expiresAt.getTime() })
+        return 1
+    }
+}
+
+export { memoryStore }
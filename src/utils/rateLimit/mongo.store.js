@@ -0,0 +1,29 @@
+import mongoose from "mongoose"
+import { RateLimitCounter } from "../../models/rateLimitCounter.model.js"
+
+const incrementCounter = (key, expiresAt) => RateLimitCounter.findOneAndUpdate(
+    { key },
+    { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+    { upsert: true, new: true, lean: true }
+)
+
+// Counts in MongoDB, so limits hold across several instances
+const mongoStore = {
+    name: "mongo",
+
+    async increment(key, expiresAt) {
+        // fail right away instead of waiting for mongoose to buffer the query until it times out
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error("MongoDB is not connected")
+        }
+        try {
+            return (await incrementCounter(key, expiresAt)).count
+        } catch (error) {
+            // two first requests of a window raced on the upsert, the counter exists now
+            if (error?.code !== 11000) throw error
+            return (await incrementCounter(key, expiresAt)).count
+        }
+    }
+}
+
+export { mongoStore }
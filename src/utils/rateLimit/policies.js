@@ -0,0 +1,22 @@
+const MINUTE_MS = 60 * 1000
+const HOUR_MS = 60 * MINUTE_MS
+
+// Requests allowed per window for each user, or ip when logged out.
+// Routes pick one by name with rateLimit("<name>"), each policy counts separately
+const RATE_LIMIT_POLICIES = {
+    // on top of the per-account lockout, mostly against trying many accounts from one ip
+    login: { limit: 30, windowMs: 15 * MINUTE_MS },
+    // registration and the mailed-token flows, every request may send a mail
+    account: { limit: 10, windowMs: HOUR_MS },
+    // refreshes happen on their own whenever an access token expires
+    tokenRefresh: { limit: 60, windowMs: 15 * MINUTE_MS },
+    // new videos, whichever way they are uploaded
+    upload: { limit: 10, windowMs: HOUR_MS },
+    // tweets, comments, replies and playlists
+    write: { limit: 30, windowMs: MINUTE_MS },
+    // likes, subscriptions and view reports
+    reaction: { limit: 60, windowMs: MINUTE_MS },
+    search: { limit: 60, windowMs: MINUTE_MS }
+}
+
+export { RATE_LIMIT_POLICIES }
@@ -0,0 +1,244 @@
+import { randomUUID } from "crypto"
+import { RealtimeEvent } from "../models/realtimeEvent.model.js"
+import { Counter } from "../models/counter.model.js"
+import { activeSessionIds } from "./sessions.js"
+
+const SEQUENCE = "realtimeEvent"
+const POLL_INTERVAL_MS = Number(process.env.REALTIME_POLL_INTERVAL_MS) || 1000
+const HEARTBEAT_INTERVAL_MS = 25 * 1000
+const SESSION_CHECK_INTERVAL_MS = 30 * 1000
+const MAX_TIMEOUT_MS = 2 ** 31 - 1 // longer setTimeout delays fire immediately
+const GAP_GRACE_MS = 2000 // a missing seq this young is most likely an insert still in flight
+const POLL_BATCH_SIZE = 500
+const MAX_TOPICS = 20
+
+// open streams on this instance: streamId -> { userId, sessionId, topics, res, pending, end }
+const streams = new Map()
+let lastDeliveredSeq = null
+let pollTimer = null
+let lastSessionCheckAt = 0
+
+/**
+ * Maps a topic a client asks for to the internal one, or null if it may not have it.
+ * "video:<id>" carries comments and like/view counters of a video,
+ * "notifications" is the caller's own notifications.
+ */
+const resolveTopic = (topic, userId) => {
+    if (topic === "notifications") return `user:${userId}`
+    if (/^video:[0-9a-f]{24}$/i.test(topic)) return topic.toLowerCase()
+    return null
+}
+
+/**
+ * Publishes events ({ topic, event, data }) to every instance's streams.
+ * Events go through MongoDB so they reach clients connected anywhere, and stay
+ * there for the resume window. Best effort: failures are logged, never thrown.
+ */
+const publishMany = async (events) => {
+    if (!events.length) return
+    try {
+        const firstSeq = await Counter.next(SEQUENCE, events.length)
+        await RealtimeEvent.insertMany(
+            events.map((event, index) => ({ ...event, seq: firstSeq + index }))
+        )
+    } catch (error) {
+        console.error("Failed to publish realtime events:", error)
+    }
+}
+
+const publish = (topic, event, data) => publishMany([{ topic, event, data }])
+
+const writeEvent = (res, { seq, event, data }) => {
+    const id = seq !== undefined ? `id: ${seq}\n` : ""
+    res.write(`${id}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+}
+
+const deliver = (events) => {
+    for (const stream of streams.values()) {
+        for (const event of events) {
+            if (!stream.topics.has(event.topic)) continue
+            // held back while missed events are replayed, so ids stay in order
+            if (stream.pending) stream.pending.push(event)
+            else writeEvent(stream.res, event)
+        }
+    }
+}
+
+// Ends the streams whose login session was revoked (logout, password change, ...) since they opened
+const endRevokedStreams = async () => {
+    const sessionIds = [...new Set(
+        [...streams.values()].map((stream) => stream.sessionId).filter(Boolean)
+    )]
+    if (!sessionIds.length) return
+
+    const activeIds = await activeSessionIds(sessionIds)
+    for (const stream of [...streams.values()]) {
+        if (stream.sessionId && !activeIds.has(stream.sessionId)) {
+            stream.end("Session has been revoked")
+        }
+    }
+}
+
+// Pushes events published since the last poll, in seq order
+const poll = async () => {
+    const events = await RealtimeEvent.find({ seq: { $gt: lastDeliveredSeq } })
+        .sort({ seq: 1 })
+        .limit(POLL_BATCH_SIZE)
+        .lean()
+
+    const ready = []
+    let expectedSeq = lastDeliveredSeq + 1
+    for (const event of events) {
+        // wait for a gap to fill unless it's old enough to be a failed insert
+        if (event.seq !== expectedSeq && Date.now() - event.createdAt.getTime() < GAP_GRACE_MS) break
+        ready.push(event)
+        expectedSeq = event.seq + 1
+    }
+
+    if (ready.length) {
+        lastDeliveredSeq = ready[ready.length - 1].seq
+        deliver(ready)
+    }
+}
+
+const schedulePoll = () => {
+    pollTimer = setTimeout(async () => {
+        await poll().catch((error) => console.error("Realtime poll failed:", error))
+        if (Date.now() - lastSessionCheckAt >= SESSION_CHECK_INTERVAL_MS) {
+            lastSessionCheckAt = Date.now()
+            await endRevokedStreams().catch((error) => console.error("Realtime session check failed:", error))
+        }
+        if (streams.size) {
+            schedulePoll()
+            return
+        }
+        // stops once the last stream closed, the next one starts from the current seq
+        pollTimer = null
+        lastDeliveredSeq = null
+    }, POLL_INTERVAL_MS)
+    pollTimer.unref()
+}
+
+// Only poll while this instance has someone to deliver to
+const ensurePolling = async () => {
+    if (lastDeliveredSeq === null) {
+        lastDeliveredSeq = await Counter.current(SEQUENCE)
+    }
+    if (!pollTimer) schedulePoll()
+}
+
+// Replays what a reconnecting client missed up to upToSeq, or tells it to refetch if that's gone
+const replay = async (stream, lastEventId, upToSeq) => {
+    const oldest = await RealtimeEvent.findOne().sort({ seq: 1 }).select("seq").lean()
+    const isStale = lastEventId > upToSeq ||
+        (lastEventId < upToSeq && (!oldest || oldest.seq > lastEventId + 1))
+    if (isStale) {
+        writeEvent(stream.res, { event: "reset", data: { reason: "Missed events are no longer available, refetch" } })
+        return
+    }
+
+    const missed = await RealtimeEvent.find({
+        seq: { $gt: lastEventId, $lte: upToSeq },
+        topic: { $in: [...stream.topics] }
+    })
+        .sort({ seq: 1 })
+        .lean()
+    missed.forEach((event) => writeEvent(stream.res, event))
+}
+
+/**
+ * Turns res into a server-sent events stream for userId with the given (already resolved) topics.
+ * With lastEventId set, events after it are replayed first. The stream lasts as long as the
+ * access token that opened it: it ends when the token expires at expiresAt (ms) or its
+ * session is revoked, with an "end" event telling the client to reconnect with a fresh token.
+ */
+const openStream = async (req, res, { userId, topics, lastEventId, sessionId, expiresAt }) => {
+    const streamId = randomUUID()
+    let heartbeat = null
+    let expiryTimer = null
+    let isClosed = false
+
+    const close = () => {
+        if (isClosed) return
+        isClosed = true
+        clearInterval(heartbeat)
+        clearTimeout(expiryTimer)
+        streams.delete(streamId)
+    }
+    // registered before anything is awaited, a client leaving early must not leave a stream behind
+    req.on("close", close)
+
+    const stream = {
+        userId: userId.toString(),
+        sessionId: sessionId?.toString(),
+        topics: new Set(topics),
+        res,
+        end(reason) {
+            if (isClosed) return
+            writeEvent(res, { event: "end", data: { reason } })
+            close()
+            res.end()
+        }
+    }
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache, no-transform",
+        Connection: "keep-alive",
+        "X-Accel-Buffering": "no" // keep nginx from buffering the stream
+    })
+    res.write("retry: 3000\n\n")
+
+    await ensurePolling()
+    if (isClosed) return streamId
+
+    // everything after upToSeq reaches the stream through the poller from here on
+    const upToSeq = lastDeliveredSeq
+    if (lastEventId !== undefined) stream.pending = []
+    streams.set(streamId, stream)
+
+    heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL_MS)
+    heartbeat.unref()
+    if (expiresAt) {
+        expiryTimer = setTimeout(
+            () => stream.end("Access token has expired"),
+            Math.min(Math.max(expiresAt - Date.now(), 0), MAX_TIMEOUT_MS)
+        )
+        expiryTimer.unref()
+    }
+
+    writeEvent(res, { event: "ready", data: { streamId, topics: [...stream.topics] } })
+    if (lastEventId !== undefined) {
+        await replay(stream, lastEventId, upToSeq).catch((error) => {
+            console.error("Realtime replay failed:", error)
+            writeEvent(res, { event: "reset", data: { reason: "Missed events could not be loaded, refetch" } })
+        })
+        if (isClosed) return streamId
+        stream.pending.forEach((event) => writeEvent(res, event))
+        stream.pending = null
+    }
+
+    return streamId
+}
+
+// Resolves to the stream's topics, or null when there is no such stream of userId on this instance
+const updateStreamTopics = (streamId, userId, { subscribe = [], unsubscribe = [] }) => {
+    const stream = streams.get(streamId)
+    if (!stream || stream.userId !== userId.toString()) return null
+
+    unsubscribe.forEach((topic) => stream.topics.delete(topic))
+    subscribe.forEach((topic) => {
+        if (stream.topics.size < MAX_TOPICS) stream.topics.add(topic)
+    })
+
+    return [...stream.topics]
+}
+
+export {
+    MAX_TOPICS,
+    resolveTopic,
+    publish,
+    publishMany,
+    openStream,
+    updateStreamTopics
+}
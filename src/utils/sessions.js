@@ -0,0 +1,140 @@
+import { createHash, randomUUID } from "crypto"
+import jwt from "jsonwebtoken"
+import { Session } from "../models/session.model.js"
+import { ApiError } from "./ApiError.js"
+
+// Refresh tokens are stored hashed, a leaked sessions collection can't be replayed
+const hashToken = (token) => createHash("sha256").update(token).digest("hex")
+
+const clientInfo = (req) => ({
+    userAgent: (req.get("user-agent") || "").slice(0, 512),
+    ip: req.ip || "",
+    lastUsedAt: new Date()
+})
+
+// Two tabs or a retry can refresh with the same token at once, only one of them rotates it
+const REFRESH_GRACE_MS = 30 * 1000
+
+// New access and refresh token for session, the refresh token's hash, id and expiry go on the session
+const issueTokens = (user, session) => {
+    const tokenId = randomUUID()
+    const issuedAt = Math.floor(Date.now() / 1000)
+    const accessToken = user.generateAccessToken(session._id)
+    const refreshToken = user.generateRefreshToken(session._id, { tokenId, issuedAt })
+    return {
+        accessToken,
+        refreshToken,
+        tokenHash: hashToken(refreshToken),
+        tokenId,
+        tokenIssuedAt: issuedAt,
+        expiresAt: new Date(jwt.decode(refreshToken).exp * 1000)
+    }
+}
+
+// Logs user in on the device making req
+const startSession = async (user, req) => {
+    const session = new Session({ user: user._id, ...clientInfo(req) })
+    const { accessToken, refreshToken, tokenHash, tokenId, tokenIssuedAt, expiresAt } = issueTokens(user, session)
+    session.set({ tokenHash, tokenId, tokenIssuedAt, expiresAt })
+    await session.save()
+
+    return { accessToken, refreshToken, session }
+}
+
+// The session's current refresh token, when incomingToken is the one it replaced moments ago
+const currentTokenDuringGrace = async (user, sessionId, incomingToken) => {
+    const session = await Session.findOne({
+        _id: sessionId,
+        user: user._id,
+        previousTokenHash: hashToken(incomingToken),
+        rotatedAt: { $gte: new Date(Date.now() - REFRESH_GRACE_MS) },
+        revokedAt: null
+    })
+    if (!session?.tokenId) return null
+
+    const refreshToken = user.generateRefreshToken(session._id, {
+        tokenId: session.tokenId,
+        issuedAt: session.tokenIssuedAt
+    })
+    // signed again from what the session keeps, it has to be the very token it stores the hash of
+    if (hashToken(refreshToken) !== session.tokenHash) return null
+
+    return { accessToken: user.generateAccessToken(session._id), refreshToken, session }
+}
+
+/**
+ * Swaps a verified refresh token for a new pair. Only the session's current token is
+ * accepted, or for REFRESH_GRACE_MS the one it just replaced, which gets the current pair
+ * back. Anything earlier showing up means the family was copied, so the session is
+ * revoked and whoever holds the latest token has to log in again too.
+ */
+const rotateSession = async (user, decodedToken, incomingToken, req) => {
+    const sessionId = decodedToken.sid
+    if (!sessionId) {
+        // issued before sessions existed
+        throw new ApiError(401, "Refresh token is expired or used")
+    }
+
+    const incomingHash = hashToken(incomingToken)
+    const { accessToken, refreshToken, tokenHash, tokenId, tokenIssuedAt, expiresAt } = issueTokens(user, { _id: sessionId })
+    const session = await Session.findOneAndUpdate(
+        {
+            _id: sessionId,
+            user: user._id,
+            tokenHash: incomingHash,
+            revokedAt: null
+        },
+        {
+            $set: {
+                tokenHash,
+                tokenId,
+                tokenIssuedAt,
+                expiresAt,
+                previousTokenHash: incomingHash,
+                rotatedAt: new Date(),
+                ...clientInfo(req)
+            }
+        },
+        { new: true }
+    )
+
+    if (!session) {
+        const concurrent = await currentTokenDuringGrace(user, sessionId, incomingToken)
+        if (concurrent) return concurrent
+
+        const reused = await Session.updateOne(
+            { _id: sessionId, user: user._id, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: "reuse" } }
+        )
+        if (reused.modifiedCount) {
+            console.warn(`Refresh token reuse on session ${sessionId} of user ${user._id}, session revoked`)
+        }
+        throw new ApiError(401, "Refresh token is expired or used")
+    }
+
+    return { accessToken, refreshToken, session }
+}
+
+// Revokes the user's active sessions matching filter, returns how many
+const revokeSessions = async (userId, reason, filter = {}) => {
+    const result = await Session.updateMany(
+        { ...filter, user: userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    )
+    return result.modifiedCount
+}
+
+// Access tokens carry their session, they stop working as soon as it's revoked.
+// Tokens from before sessions existed have none and are accepted until they expire
+const isSessionActive = async (sessionId) => {
+    if (!sessionId) return true
+    return Boolean(await Session.exists({ _id: sessionId, revokedAt: null }))
+}
+
+// The ones of sessionIds that are still active, as strings
+const activeSessionIds = async (sessionIds) => {
+    const sessions = await Session.find({ _id: { $in: sessionIds }, revokedAt: null }).select("_id").lean()
+    return new Set(sessions.map((session) => session._id.toString()))
+}
+
+export { hashToken, startSession, rotateSession, revokeSessions, isSessionActive, activeSessionIds }
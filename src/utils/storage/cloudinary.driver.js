@@ -0,0 +1,74 @@
+import { v2 as cloudinary } from 'cloudinary';
+
+let isConfigured = false
+
+// Configuration is deferred to the first call so it picks up env loaded by dotenv
+const configure = () => {
+    if (isConfigured) return
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+    isConfigured = true
+}
+
+const cloudinaryDriver = {
+    name: "cloudinary",
+
+    async upload(localFilePath, { resourceType = "auto" } = {}) {
+        configure()
+        const response = await cloudinary.uploader.upload(localFilePath, {
+            resource_type: resourceType
+        })
+
+        return {
+            assetId: response.public_id,
+            resourceType: response.resource_type,
+            url: response.secure_url,
+            duration: response.duration,
+            bytes: response.bytes
+        }
+    },
+
+    async delete(assetId, { resourceType = "image" } = {}) {
+        configure()
+        const result = await cloudinary.uploader.destroy(assetId, {
+            resource_type: resourceType
+        })
+        return result?.result === "ok"
+    },
+
+    // Files uploaded before asset ids were stored only have their url, e.g.
+    // https://res.cloudinary.com/<cloud>/video/upload/v1700000000/abc123.mp4
+    assetFromUrl(url) {
+        let parsed
+        try {
+            parsed = new URL(url)
+        } catch {
+            return null
+        }
+        if (parsed.hostname !== "res.cloudinary.com") return null
+
+        const match = parsed.pathname.match(/^\/([^/]+)\/(image|video|raw)\/upload\/(?:v\d+\/)?(.+)$/)
+        if (!match) return null
+        const [, cloudName, resourceType, file] = match
+        if (process.env.CLOUDINARY_CLOUD_NAME && cloudName !== process.env.CLOUDINARY_CLOUD_NAME) {
+            return null
+        }
+
+        // the extension is part of the public id only for raw files
+        const assetId = resourceType === "raw" ? file : file.replace(/\.[^./]+$/, "")
+        return { assetId: decodeURIComponent(assetId), resourceType }
+    },
+
+    getUrl(assetId, { resourceType = "image" } = {}) {
+        configure()
+        return cloudinary.url(assetId, {
+            resource_type: resourceType,
+            secure: true
+        })
+    }
+}
+
+export { cloudinaryDriver }
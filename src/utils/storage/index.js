@@ -0,0 +1,99 @@
+import fs from "fs"
+import { cloudinaryDriver } from "./cloudinary.driver.js"
+import { localDriver } from "./local.driver.js"
+
+const drivers = {
+    [cloudinaryDriver.name]: cloudinaryDriver,
+    [localDriver.name]: localDriver
+}
+
+// STORAGE_DRIVER picks the backend for new uploads, existing assets
+// are always handled by the driver recorded on them
+const getDriver = (name = process.env.STORAGE_DRIVER || "cloudinary") => {
+    const driver = drivers[name]
+    if (!driver) {
+        throw new Error(`Unknown storage driver "${name}"`)
+    }
+    return driver
+}
+
+const removeTempFile = (localFilePath) => {
+    if (fs.existsSync(localFilePath)) {
+        fs.unlinkSync(localFilePath)
+    }
+}
+
+// "image" or "video" from a mime type the upload checks already matched against the file's content,
+// so every driver records the same resourceType for the same file
+const resourceTypeOf = (mimeType) => {
+    const type = mimeType?.split("/")[0]
+    return type === "image" || type === "video" ? type : "raw"
+}
+
+// Uploads a temp file and removes it afterwards, unless keepOnFailure is set so a retry can reuse it.
+// mimeType is the verified type of the file, see resourceTypeOf.
+// Resolves to { url, duration, asset: { provider, assetId, resourceType } } or null on failure.
+const uploadFile = async (localFilePath, { mimeType, keepOnFailure = false } = {}) => {
+    if (!localFilePath) return null
+
+    const driver = getDriver()
+    let isUploaded = false
+    try {
+        const result = await driver.upload(localFilePath, { resourceType: resourceTypeOf(mimeType) })
+        isUploaded = true
+        return {
+            url: result.url,
+            duration: result.duration,
+            bytes: result.bytes,
+            asset: {
+                provider: driver.name,
+                assetId: result.assetId,
+                resourceType: result.resourceType
+            }
+        }
+    } catch (error) {
+        console.error(`Upload to ${driver.name} storage failed:`, error)
+        return null
+    } finally {
+        if (isUploaded || !keepOnFailure) {
+            removeTempFile(localFilePath)
+        }
+    }
+}
+
+// Best guess at the asset behind a url stored before asset ids were recorded, null if no driver knows it
+const assetFromUrl = (url) => {
+    // the default thumbnail is shared by every video without one of its own
+    if (!url || url === process.env.DEFAULT_THUMBNAIL_URL) return null
+    for (const driver of Object.values(drivers)) {
+        const asset = driver.assetFromUrl?.(url)
+        if (asset) return { provider: driver.name, ...asset }
+    }
+    return null
+}
+
+// url is the file's stored url, used to find the asset of documents that predate asset ids
+const deleteFile = async (asset, url) => {
+    if (!asset?.assetId) {
+        asset = assetFromUrl(url)
+    }
+    if (!asset?.assetId) return false
+
+    try {
+        return await getDriver(asset.provider).delete(asset.assetId, {
+            resourceType: asset.resourceType
+        })
+    } catch (error) {
+        console.error(`Error deleting ${asset.assetId} from ${asset.provider} storage:`, error)
+        return false
+    }
+}
+
+const getFileUrl = (asset) => {
+    if (!asset?.assetId) return null
+    return getDriver(asset.provider).getUrl(asset.assetId, {
+        resourceType: asset.resourceType
+    })
+}
+
+export { uploadFile, deleteFile, getFileUrl, assetFromUrl }
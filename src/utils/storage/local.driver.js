@@ -0,0 +1,62 @@
+import fs from "fs/promises"
+import path from "path"
+import { randomUUID } from "crypto"
+
+// Files are kept under public/ so express.static in app.js serves them
+const PUBLIC_DIR = path.resolve("public")
+const UPLOAD_DIR = "uploads"
+
+const moveFile = async (from, to) => {
+    try {
+        await fs.rename(from, to)
+    } catch (error) {
+        // rename can't cross filesystems, fall back to copy + delete
+        if (error.code !== "EXDEV") throw error
+        await fs.copyFile(from, to)
+        await fs.unlink(from)
+    }
+}
+
+const localDriver = {
+    name: "local",
+
+    async upload(localFilePath, { resourceType = "raw" } = {}) {
+        const extension = path.extname(localFilePath).toLowerCase()
+        const assetId = `${UPLOAD_DIR}/${randomUUID()}${extension}`
+        const destination = path.join(PUBLIC_DIR, assetId)
+
+        await fs.mkdir(path.dirname(destination), { recursive: true })
+        await moveFile(localFilePath, destination)
+        const { size } = await fs.stat(destination)
+
+        return {
+            assetId,
+            resourceType,
+            url: this.getUrl(assetId),
+            duration: undefined, // not known without probing the file
+            bytes: size
+        }
+    },
+
+    async delete(assetId) {
+        const target = path.resolve(PUBLIC_DIR, assetId)
+        // never follow an asset id outside of public/uploads
+        if (!target.startsWith(path.join(PUBLIC_DIR, UPLOAD_DIR) + path.sep)) {
+            return false
+        }
+        try {
+            await fs.unlink(target)
+            return true
+        } catch (error) {
+            if (error.code === "ENOENT") return false
+            throw error
+        }
+    },
+
+    getUrl(assetId) {
+        const baseUrl = (process.env.PUBLIC_BASE_URL || "").replace(/\/$/, "")
+        return `${baseUrl}/${assetId}`
+    }
+}
+
+export { localDriver }
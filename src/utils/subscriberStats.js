@@ -0,0 +1,41 @@
+import mongoose from "mongoose"
+
+/**
+ * Aggregation stages for a users pipeline that add subscriberCount and
+ * isSubscribed (whether viewerId follows the channel, false for anonymous viewers).
+ * Shared by the channel profile and channel search results so both agree.
+ */
+const subscriberStatsStages = (viewerId) => [
+    {
+        $lookup: {
+            from: "subscriptions",
+            localField: "_id",
+            foreignField: "channel",
+            as: "subscribers",
+            pipeline: [
+                { $project: { subscriber: 1 } }
+            ]
+        }
+    },
+    {
+        $addFields: {
+            subscriberCount: {
+                $size: "$subscribers"
+            },
+            isSubscribed: {
+                $cond: {
+                    if: { $in: [viewerId ? new mongoose.Types.ObjectId(viewerId) : null, "$subscribers.subscriber"] },
+                    then: true,
+                    else: false
+                }
+            }
+        }
+    },
+    {
+        $project: {
+            subscribers: 0
+        }
+    }
+]
+
+export { subscriberStatsStages }
@@ -0,0 +1,30 @@
+// Small in-process cache whose entries expire after ttlMs.
+// Each server instance has its own, so only use it where slightly stale data is fine
+const createTtlCache = ({ ttlMs, maxEntries = 1000 }) => {
+    const entries = new Map()
+
+    const get = (key) => {
+        const entry = entries.get(key)
+        if (!entry) return undefined
+        if (entry.expiresAt <= Date.now()) {
+            entries.delete(key)
+            return undefined
+        }
+        return entry.value
+    }
+
+    const set = (key, value) => {
+        // Maps iterate in insertion order, so the first key is the oldest
+        if (entries.size >= maxEntries && !entries.has(key)) {
+            entries.delete(entries.keys().next().value)
+        }
+        entries.set(key, { value, expiresAt: Date.now() + ttlMs })
+        return value
+    }
+
+    const remove = (key) => entries.delete(key)
+
+    return { get, set, delete: remove }
+}
+
+export { createTtlCache }
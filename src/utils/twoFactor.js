@@ -0,0 +1,51 @@
+import { randomBytes } from "crypto"
+import { User } from "../models/user.model.js"
+import { hashToken } from "./sessions.js"
+import { verifyTotp } from "./totp.js"
+
+const RECOVERY_CODE_COUNT = 10
+
+// Fresh recovery codes: the plain ones are shown to the user once, only hashes are stored
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = randomBytes(5).toString("hex")
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`
+    })
+    return { codes, hashes: codes.map((code) => hashToken(code)) }
+}
+
+/**
+ * Checks a code from the authenticator app, or a recovery code, against the user's second factor.
+ * Each is good once: an app code can't be replayed within its time step and a recovery code
+ * is used up. Resolves to "totp", "recovery" or null.
+ */
+const verifyTwoFactorCode = async (userId, code) => {
+    const user = await User.findById(userId).select("+twoFactorSecret +twoFactorLastUsedStep")
+    if (!user?.isTwoFactorEnabled || !user.twoFactorSecret) return null
+
+    const normalized = code.replace(/\s/g, "").toLowerCase()
+
+    const step = verifyTotp(user.twoFactorSecret, normalized)
+    if (step !== null) {
+        const claimed = await User.updateOne(
+            {
+                _id: user._id,
+                $or: [
+                    { twoFactorLastUsedStep: null },
+                    { twoFactorLastUsedStep: { $lt: step } }
+                ]
+            },
+            { $set: { twoFactorLastUsedStep: step } }
+        )
+        return claimed.modifiedCount ? "totp" : null
+    }
+
+    const hash = hashToken(normalized)
+    const used = await User.updateOne(
+        { _id: user._id, twoFactorRecoveryCodes: hash },
+        { $pull: { twoFactorRecoveryCodes: hash } }
+    )
+    return used.modifiedCount ? "recovery" : null
+}
+
+export { generateRecoveryCodes, verifyTwoFactorCode }
@@ -0,0 +1,100 @@
+import fs from "fs"
+import { execFile } from "child_process"
+
+const FFPROBE_PATH = process.env.FFPROBE_PATH || "ffprobe"
+const FFMPEG_PATH = process.env.FFMPEG_PATH || "ffmpeg"
+
+const runCommand = (command, args) => new Promise((resolve, reject) => {
+    execFile(command, args, { timeout: 60 * 1000 }, (error, stdout) => {
+        if (error) return reject(error)
+        resolve(stdout)
+    })
+})
+
+const readBytes = async (handle, position, length) => {
+    const buffer = Buffer.alloc(length)
+    const { bytesRead } = await handle.read(buffer, 0, length, position)
+    return buffer.subarray(0, bytesRead)
+}
+
+// Fallback for hosts without ffprobe: reads the duration from the
+// mvhd box of an mp4/mov file, wherever its moov box sits
+const readMp4Duration = async (filePath) => {
+    const handle = await fs.promises.open(filePath, "r")
+    try {
+        const { size: fileSize } = await handle.stat()
+        let offset = 0
+
+        while (offset + 8 <= fileSize) {
+            const header = await readBytes(handle, offset, 16)
+            let boxSize = header.readUInt32BE(0)
+            const boxType = header.subarray(4, 8).toString("latin1")
+            let headerSize = 8
+
+            if (boxSize === 1) {
+                boxSize = Number(header.readBigUInt64BE(8))
+                headerSize = 16
+            } else if (boxSize === 0) {
+                boxSize = fileSize - offset
+            }
+            if (boxSize < headerSize) return null
+
+            if (boxType === "moov") {
+                const moov = await readBytes(handle, offset + headerSize, boxSize - headerSize)
+                const mvhdIndex = moov.indexOf("mvhd", 0, "latin1")
+                if (mvhdIndex === -1) return null
+
+                const body = mvhdIndex + 4
+                const version = moov[body]
+                const timescale = version === 1 ? moov.readUInt32BE(body + 20) : moov.readUInt32BE(body + 12)
+                const duration = version === 1 ? Number(moov.readBigUInt64BE(body + 24)) : moov.readUInt32BE(body + 16)
+                return timescale ? duration / timescale : null
+            }
+
+            offset += boxSize
+        }
+        return null
+    } finally {
+        await handle.close()
+    }
+}
+
+// Duration in seconds, or null when it can't be determined
+const getVideoDuration = async (filePath) => {
+    try {
+        const output = await runCommand(FFPROBE_PATH, [
+            "-v", "error",
+            "-show_entries", "format=duration",
+            "-of", "json",
+            filePath
+        ])
+        const duration = Number(JSON.parse(output)?.format?.duration)
+        if (Number.isFinite(duration)) return duration
+    } catch (error) {
+        // ffprobe missing or failed, try parsing the container ourselves
+    }
+
+    try {
+        return await readMp4Duration(filePath)
+    } catch (error) {
+        return null
+    }
+}
+
+// Grabs a single frame as a jpeg thumbnail, resolves to null without ffmpeg
+const extractThumbnail = async (filePath, outputPath, atSecond = 1) => {
+    try {
+        await runCommand(FFMPEG_PATH, [
+            "-y",
+            "-ss", String(atSecond),
+            "-i", filePath,
+            "-frames:v", "1",
+            outputPath
+        ])
+        return fs.existsSync(outputPath) ? outputPath : null
+    } catch (error) {
+        return null
+    }
+}
+
+export { getVideoDuration, extractThumbnail }
@@ -0,0 +1,53 @@
+import { Video } from "../models/video.model.js"
+import { ApiError } from "./ApiError.js"
+import { enqueueJob } from "../jobs/queue.js"
+import { VIDEO_PROCESSING_JOB } from "../jobs/videoProcessing.job.js"
+
+// Shared by publishAVideo and the chunked upload flow: creates the Video in the
+// processing state and hands the temp files to the background processing job.
+// The caller must keep the temp files around, the job deletes them when done.
+// The mime types must already be checked against the file contents.
+const publishVideoFromFiles = async ({
+    owner,
+    title,
+    description,
+    videoFileLocalPath,
+    videoFileMimeType,
+    thumbnailLocalPath,
+    thumbnailMimeType
+}) => {
+    const video = await Video.create({
+        title,
+        description,
+        views: 0,
+        owner,
+        status: "processing",
+        isPublished: true // default to published for simplicity
+    });
+
+    if (!video) {
+        throw new ApiError(500, "Video upload failed please try again");
+    }
+
+    // the job reads local temp files, so it has to run on this host
+    try {
+        await enqueueJob(
+            VIDEO_PROCESSING_JOB,
+            {
+                videoId: video._id.toString(),
+                videoFileLocalPath,
+                videoFileMimeType,
+                thumbnailLocalPath,
+                thumbnailMimeType
+            },
+            { pinToHost: true }
+        )
+    } catch (error) {
+        await Video.findByIdAndDelete(video._id)
+        throw error
+    }
+
+    return video
+}
+
+export { publishVideoFromFiles }
@@ -0,0 +1,98 @@
+import mongoose from "mongoose"
+import { ApiError } from "./ApiError.js"
+
+const VIDEO_SORT_OPTIONS = ["relevance", "views", "date", "likes"]
+
+// user input never reaches $regex unescaped
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")
+
+// Only published videos that finished processing.
+// Videos from before processing existed have no status and count as ready
+const publicVideoMatch = () => ({
+    isPublished: true,
+    status: { $in: ["ready", null] }
+})
+
+/**
+ * Translates the video search query params into paginate() options.
+ * A search term goes through the text index on title and description,
+ * sorting by relevance is the default then and isn't possible without one.
+ */
+const buildVideoSearch = ({
+    query,
+    sortBy,
+    sortType,
+    userId,
+    minDuration,
+    maxDuration,
+    uploadedAfter,
+    uploadedBefore
+}) => {
+    const match = publicVideoMatch()
+    const preSortStages = []
+
+    if (query) {
+        match.$text = { $search: query }
+        preSortStages.push({ $addFields: { score: { $meta: "textScore" } } })
+    }
+
+    // Channel filter
+    if (userId) {
+        match.owner = new mongoose.Types.ObjectId(userId)
+    }
+
+    if (minDuration !== undefined || maxDuration !== undefined) {
+        match.duration = {}
+        if (minDuration !== undefined) match.duration.$gte = minDuration
+        if (maxDuration !== undefined) match.duration.$lte = maxDuration
+    }
+
+    if (uploadedAfter || uploadedBefore) {
+        match.createdAt = {}
+        if (uploadedAfter) match.createdAt.$gte = uploadedAfter
+        if (uploadedBefore) match.createdAt.$lte = uploadedBefore
+    }
+
+    const sort = sortBy || (query ? "relevance" : "date")
+    const sortOrder = sortType === "asc" ? 1 : -1
+
+    switch (sort) {
+        case "relevance":
+            if (!query) {
+                throw new ApiError(400, "Sorting by relevance requires a search query")
+            }
+            // best matches first, sortType doesn't apply
+            return { match, preSortStages, sortField: "score", sortOrder: -1 }
+        case "views":
+            return { match, preSortStages, sortField: "views", sortOrder }
+        case "likes":
+            preSortStages.push(
+                {
+                    $lookup: {
+                        from: "likes",
+                        localField: "_id",
+                        foreignField: "video",
+                        as: "likes",
+                        pipeline: [
+                            { $project: { _id: 1 } }
+                        ]
+                    }
+                },
+                {
+                    $addFields: {
+                        likesCount: { $size: "$likes" }
+                    }
+                },
+                {
+                    $project: {
+                        likes: 0
+                    }
+                }
+            )
+            return { match, preSortStages, sortField: "likesCount", sortOrder }
+        default:
+            return { match, preSortStages, sortField: "createdAt", sortOrder }
+    }
+}
+
+export { VIDEO_SORT_OPTIONS, escapeRegex, publicVideoMatch, buildVideoSearch }
@@ -0,0 +1,107 @@
+import { Video } from "../models/video.model.js"
+import { ViewDedupe } from "../models/viewDedupe.model.js"
+import { VideoDailyStats } from "../models/videoDailyStats.model.js"
+import { publish } from "./realtime.js"
+
+const MINUTE_MS = 60 * 1000
+
+const VIEW_MIN_WATCH_SECONDS = Number(process.env.VIEW_MIN_WATCH_SECONDS) || 30
+const VIEWER_WINDOW_MS = (Number(process.env.VIEW_DEDUPE_WINDOW_MINUTES) || 30) * MINUTE_MS
+const SESSION_WINDOW_MS = 12 * 60 * MINUTE_MS // a browser session counts a video once
+
+// Short videos only need to be watched to the end
+const requiredWatchSeconds = (video) =>
+    video.duration > 0 ? Math.min(VIEW_MIN_WATCH_SECONDS, video.duration) : VIEW_MIN_WATCH_SECONDS
+
+/**
+ * Claims (video, key) for windowMs. Resolves to false when the key already
+ * counted a view inside its window. Safe against concurrent requests: the unique
+ * index lets only one insert win, and an expired claim is only taken over once.
+ */
+const claimView = async (videoId, key, windowMs) => {
+    const now = new Date()
+    const expiresAt = new Date(now.getTime() + windowMs)
+
+    try {
+        await ViewDedupe.create({ video: videoId, key, expiresAt })
+        return true
+    } catch (error) {
+        if (error?.code !== 11000) throw error
+    }
+
+    // the TTL monitor may not have removed an expired claim yet
+    const takenOver = await ViewDedupe.findOneAndUpdate(
+        { video: videoId, key, expiresAt: { $lte: now } },
+        { $set: { expiresAt } }
+    )
+    return Boolean(takenOver)
+}
+
+const viewerKey = (viewer) => {
+    if (viewer.userId) return `user:${viewer.userId}`
+    if (viewer.anonymousId) return `anon:${viewer.anonymousId}`
+    return null
+}
+
+// watchedSeconds is only the client's word, so an anonymous viewer has to come back with
+// a cookie issued earlier, at least the required watch time ago
+const isAnonymousViewerEstablished = (viewer, video) =>
+    viewer.anonymousIssuedAt !== undefined &&
+    Date.now() - viewer.anonymousIssuedAt >= requiredWatchSeconds(video) * 1000
+
+/**
+ * Counts one view of video for viewer ({ userId, ip, anonymousId, anonymousIssuedAt, sessionId }
+ * from identifyViewer).
+ * Resolves to { counted, reason } so callers can tell a deduplicated view from a counted one,
+ * with the new view count when it was counted.
+ */
+const recordVideoView = async (video, viewer, watchedSeconds) => {
+    if (watchedSeconds < requiredWatchSeconds(video)) {
+        return { counted: false, reason: "watch_time" }
+    }
+
+    // owners watching their own videos don't count
+    if (viewer.userId && video.owner.toString() === viewer.userId.toString()) {
+        return { counted: false, reason: "owner" }
+    }
+
+    const key = viewerKey(viewer)
+    if (!key) {
+        return { counted: false, reason: "unidentified" }
+    }
+
+    const claims = [[key, VIEWER_WINDOW_MS]]
+    if (viewer.sessionId) claims.push([`session:${viewer.sessionId}`, SESSION_WINDOW_MS])
+    if (!viewer.userId) {
+        if (!isAnonymousViewerEstablished(viewer, video)) {
+            return { counted: false, reason: "unidentified" }
+        }
+        // cookies are free to mint, one anonymous view per ip and window on top
+        if (viewer.ip) claims.push([`ip:${viewer.ip}`, VIEWER_WINDOW_MS])
+    }
+
+    // all or nothing: a view that turns out to be a duplicate gives back what it claimed,
+    // otherwise the ip claim would keep others behind the same NAT from being counted
+    const claimed = []
+    for (const [claimKey, windowMs] of claims) {
+        if (!(await claimView(video._id, claimKey, windowMs))) {
+            if (claimed.length) {
+                await ViewDedupe.deleteMany({ video: video._id, key: { $in: claimed } })
+            }
+            return { counted: false, reason: "duplicate" }
+        }
+        claimed.push(claimKey)
+    }
+
+    const { views } = await Video.findOneAndUpdate(
+        { _id: video._id },
+        { $inc: { views: 1 } },
+        { new: true, projection: { views: 1 } }
+    ).lean()
+    await VideoDailyStats.increment(video, { views: 1 })
+    await publish(`video:${video._id}`, "video.views", { videoId: video._id, views })
+
+    return { counted: true, views }
+}
+
+export { VIEW_MIN_WATCH_SECONDS, requiredWatchSeconds, recordVideoView }
@@ -0,0 +1,24 @@
+import { z } from "zod";
+import { objectId, pagination } from "./common.validator.js";
+import { AUDIT_ACTIONS } from "../models/auditLog.model.js";
+
+const unlockUserSchema = {
+    params: z.object({
+        userId: objectId("userId")
+    })
+}
+
+const auditLogsSchema = {
+    query: z.object({
+        ...pagination,
+        action: z.enum(AUDIT_ACTIONS, {
+            error: `action must be one of ${AUDIT_ACTIONS.join(", ")}`
+        }).optional(),
+        userId: objectId("userId").optional()
+    })
+}
+
+export {
+    unlockUserSchema,
+    auditLogsSchema
+}
@@ -0,0 +1,55 @@
+import { z } from "zod";
+import { objectId, requiredString, pagination } from "./common.validator.js";
+
+const commentBody = z.object({
+    content: requiredString("Comment content", 2000)
+})
+
+// listing and adding comments look the same for every target type
+const targetCommentSchemas = (param, label) => {
+    const params = z.object({
+        [param]: objectId(label)
+    })
+    return [
+        { params, query: z.object(pagination) },
+        { params, body: commentBody }
+    ]
+}
+
+const [videoCommentsSchema, addCommentSchema] = targetCommentSchemas("videoId", "video ID")
+const [tweetCommentsSchema, addTweetCommentSchema] = targetCommentSchemas("tweetId", "tweet ID")
+const [playlistCommentsSchema, addPlaylistCommentSchema] = targetCommentSchemas("playlistId", "playlist ID")
+
+const commentIdSchema = {
+    params: z.object({
+        commentId: objectId("comment ID")
+    })
+}
+
+const updateCommentSchema = {
+    params: commentIdSchema.params,
+    body: commentBody
+}
+
+const commentRepliesSchema = {
+    params: commentIdSchema.params,
+    query: z.object(pagination)
+}
+
+const addReplySchema = {
+    params: commentIdSchema.params,
+    body: commentBody
+}
+
+export {
+    videoCommentsSchema,
+    addCommentSchema,
+    tweetCommentsSchema,
+    addTweetCommentSchema,
+    playlistCommentsSchema,
+    addPlaylistCommentSchema,
+    commentIdSchema,
+    updateCommentSchema,
+    commentRepliesSchema,
+    addReplySchema
+}
@@ -0,0 +1,54 @@
+import { z } from "zod";
+import { isValidObjectId } from "mongoose";
+
+const objectId = (label = "id") =>
+    z.string({ error: `${label} is required` })
+        .trim()
+        .refine(isValidObjectId, { message: `Invalid ${label}` })
+
+const requiredString = (label, max = 5000) =>
+    z.string({ error: `${label} is required` })
+        .trim()
+        .min(1, `${label} is required`)
+        .max(max, `${label} must be at most ${max} characters`)
+
+const optionalString = (label, max = 5000) =>
+    z.string({ error: `${label} must be a string` })
+        .trim()
+        .max(max, `${label} must be at most ${max} characters`)
+        .optional()
+
+const email = () =>
+    z.string({ error: "Email is required" })
+        .trim()
+        .toLowerCase()
+        .pipe(z.email("Invalid email address"))
+
+// accepts real booleans from JSON bodies and "true"/"false" from query strings and forms
+const booleanish = () =>
+    z.union([
+        z.boolean(),
+        z.enum(["true", "false"]).transform((value) => value === "true")
+    ], { error: "Must be true or false" })
+
+// cursor paging by default, sending page switches to offset paging (see utils/paginate.js)
+const pagination = {
+    cursor: z.string().trim().min(1, "cursor must not be empty").optional(),
+    page: z.coerce.number().int().min(1, "page must be at least 1").optional(),
+    limit: z.coerce.number().int().min(1, "limit must be at least 1").max(100, "limit must be at most 100").default(10)
+}
+
+const sortType = z.enum(["asc", "desc"], { error: "sortType must be asc or desc" })
+
+const paginationQuery = z.object(pagination)
+
+export {
+    objectId,
+    requiredString,
+    optionalString,
+    email,
+    booleanish,
+    pagination,
+    paginationQuery,
+    sortType
+}
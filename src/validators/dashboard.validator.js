@@ -0,0 +1,52 @@
+import { z } from "zod";
+import { objectId, pagination, sortType } from "./common.validator.js";
+import { DAY_MS, GRANULARITIES, MAX_ANALYTICS_RANGE_DAYS } from "../utils/analytics.js";
+
+const CHANNEL_VIDEO_SORT_FIELDS = ["createdAt", "updatedAt", "views", "duration", "title", "likesCount", "commentsCount"]
+
+const channelStatsSchema = {
+    query: z.object({
+        top: z.coerce.number().int().min(1, "top must be at least 1").max(20, "top must be at most 20").default(5)
+    })
+}
+
+const channelVideosSchema = {
+    query: z.object({
+        ...pagination,
+        sortBy: z.enum(CHANNEL_VIDEO_SORT_FIELDS, {
+            error: `sortBy must be one of ${CHANNEL_VIDEO_SORT_FIELDS.join(", ")}`
+        }).default("createdAt"),
+        sortType: sortType.default("desc")
+    })
+}
+
+// from and to are inclusive days, the controller defaults to the last 30 days
+const analyticsQuery = z.object({
+    from: z.coerce.date({ error: "from must be a valid date" }).optional(),
+    to: z.coerce.date({ error: "to must be a valid date" }).optional(),
+    granularity: z.enum(GRANULARITIES, { error: `granularity must be one of ${GRANULARITIES.join(", ")}` }).default("day"),
+    top: z.coerce.number().int().min(1, "top must be at least 1").max(50, "top must be at most 50").default(10)
+})
+    .refine(({ from, to }) => !from || !to || from <= to, { message: "from must not be later than to", path: ["from"] })
+    .refine(
+        ({ from, to }) => !from || !to || to - from <= MAX_ANALYTICS_RANGE_DAYS * DAY_MS,
+        { message: `The range can span at most ${MAX_ANALYTICS_RANGE_DAYS} days`, path: ["from"] }
+    )
+
+const channelAnalyticsSchema = {
+    query: analyticsQuery
+}
+
+const videoAnalyticsSchema = {
+    params: z.object({
+        videoId: objectId("videoId")
+    }),
+    query: analyticsQuery
+}
+
+export {
+    channelStatsSchema,
+    channelVideosSchema,
+    channelAnalyticsSchema,
+    videoAnalyticsSchema
+}
@@ -0,0 +1,13 @@
+import { z } from "zod";
+import { pagination } from "./common.validator.js";
+
+const feedSchema = {
+    query: z.object({
+        cursor: z.string().trim().min(1).optional(),
+        limit: pagination.limit.default(20)
+    })
+}
+
+export {
+    feedSchema
+}
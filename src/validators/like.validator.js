@@ -0,0 +1,31 @@
+import { z } from "zod";
+import { objectId, paginationQuery } from "./common.validator.js";
+
+const videoLikeSchema = {
+    params: z.object({
+        videoId: objectId("video ID")
+    })
+}
+
+const commentLikeSchema = {
+    params: z.object({
+        commentId: objectId("comment ID")
+    })
+}
+
+const tweetLikeSchema = {
+    params: z.object({
+        tweetId: objectId("tweet ID")
+    })
+}
+
+const likedVideosSchema = {
+    query: paginationQuery
+}
+
+export {
+    videoLikeSchema,
+    commentLikeSchema,
+    tweetLikeSchema,
+    likedVideosSchema
+}
@@ -0,0 +1,28 @@
+import { z } from "zod";
+import { objectId, booleanish, pagination } from "./common.validator.js";
+import { NOTIFICATION_TYPES } from "../models/notification.model.js";
+
+const notificationsSchema = {
+    query: z.object({
+        ...pagination,
+        unread: booleanish().optional()
+    })
+}
+
+const notificationIdSchema = {
+    params: z.object({
+        notificationId: objectId("notificationId")
+    })
+}
+
+const notificationPreferencesSchema = {
+    body: z.object(
+        Object.fromEntries(NOTIFICATION_TYPES.map((type) => [type, booleanish().optional()]))
+    )
+}
+
+export {
+    notificationsSchema,
+    notificationIdSchema,
+    notificationPreferencesSchema
+}
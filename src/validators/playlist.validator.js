@@ -0,0 +1,52 @@
+import { z } from "zod";
+import {
+    objectId,
+    requiredString,
+    optionalString,
+    pagination
+} from "./common.validator.js";
+
+const createPlaylistSchema = {
+    body: z.object({
+        name: requiredString("Playlist name", 100),
+        description: optionalString("Description")
+    })
+}
+
+const playlistIdSchema = {
+    params: z.object({
+        playlistId: objectId("playlist ID")
+    })
+}
+
+const updatePlaylistSchema = {
+    params: playlistIdSchema.params,
+    body: z.object({
+        name: optionalString("Playlist name", 100),
+        description: optionalString("Description")
+    }).refine((body) => body.name || body.description, {
+        message: "At least name or description is required"
+    })
+}
+
+const playlistVideoSchema = {
+    params: z.object({
+        videoId: objectId("video ID"),
+        playlistId: objectId("playlist ID")
+    })
+}
+
+const userPlaylistsSchema = {
+    params: z.object({
+        userId: objectId("user ID")
+    }),
+    query: z.object(pagination)
+}
+
+export {
+    createPlaylistSchema,
+    playlistIdSchema,
+    updatePlaylistSchema,
+    playlistVideoSchema,
+    userPlaylistsSchema
+}
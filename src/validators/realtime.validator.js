@@ -0,0 +1,34 @@
+import { z } from "zod";
+import { MAX_TOPICS } from "../utils/realtime.js";
+
+const topic = z.string()
+    .trim()
+    .regex(/^(notifications|video:[0-9a-fA-F]{24})$/, "Topics are notifications or video:<videoId>")
+
+const topicList = z.array(topic).max(MAX_TOPICS, `At most ${MAX_TOPICS} topics are allowed`)
+
+const eventStreamSchema = {
+    query: z.object({
+        // comma separated, so reconnecting EventSources keep their topics in the url
+        topics: z.string()
+            .optional()
+            .transform((value) => value ? value.split(",").filter(Boolean) : [])
+            .pipe(topicList),
+        lastEventId: z.coerce.number().int().min(0, "lastEventId must not be negative").optional()
+    })
+}
+
+const streamTopicsSchema = {
+    params: z.object({
+        streamId: z.uuid("Invalid streamId")
+    }),
+    body: z.object({
+        subscribe: topicList.default([]),
+        unsubscribe: topicList.default([])
+    })
+}
+
+export {
+    eventStreamSchema,
+    streamTopicsSchema
+}
@@ -0,0 +1,34 @@
+import { z } from "zod";
+import { requiredString, pagination } from "./common.validator.js";
+import { videoSearchQuery } from "./video.validator.js";
+
+const SEARCH_TYPES = ["all", "videos", "channels", "tweets", "playlists"]
+
+// the search term is q here, the video filters apply to the videos group
+const { query, ...videoFilters } = videoSearchQuery
+
+const searchSchema = {
+    query: z.object({
+        ...pagination,
+        ...videoFilters,
+        q: requiredString("q", 200),
+        type: z.enum(SEARCH_TYPES, { error: `type must be one of ${SEARCH_TYPES.join(", ")}` }).default("all")
+    })
+        .refine(
+            ({ type, cursor, page }) => type !== "all" || (!cursor && !page),
+            { message: "Paging through results requires a single type", path: ["type"] }
+        )
+}
+
+const searchSuggestSchema = {
+    query: z.object({
+        q: requiredString("q", 100),
+        limit: z.coerce.number().int().min(1, "limit must be at least 1").max(10, "limit must be at most 10").default(5)
+    })
+}
+
+export {
+    SEARCH_TYPES,
+    searchSchema,
+    searchSuggestSchema
+}
@@ -0,0 +1,43 @@
+import { z } from "zod";
+import { objectId, pagination } from "./common.validator.js";
+import { NOTIFICATION_LEVELS } from "../models/subscription.model.js";
+
+const subscribedChannelsSchema = {
+    params: z.object({
+        subscriberId: objectId("subscriber ID")
+    }),
+    query: z.object(pagination)
+}
+
+const toggleSubscriptionSchema = {
+    params: z.object({
+        channelId: objectId("channel ID")
+    })
+}
+
+const channelSubscribersSchema = {
+    params: toggleSubscriptionSchema.params,
+    query: z.object(pagination)
+}
+
+const updateSubscriptionSchema = {
+    params: toggleSubscriptionSchema.params,
+    body: z.object({
+        notificationLevel: z.enum(NOTIFICATION_LEVELS, {
+            error: `notificationLevel must be one of ${NOTIFICATION_LEVELS.join(", ")}`
+        }).optional(),
+        // null unmutes
+        mutedUntil: z.union([z.null(), z.coerce.date({ error: "mutedUntil must be a valid date" })]).optional()
+    })
+        .refine(
+            ({ notificationLevel, mutedUntil }) => notificationLevel !== undefined || mutedUntil !== undefined,
+            { message: "notificationLevel or mutedUntil is required" }
+        )
+}
+
+export {
+    subscribedChannelsSchema,
+    toggleSubscriptionSchema,
+    channelSubscribersSchema,
+    updateSubscriptionSchema
+}
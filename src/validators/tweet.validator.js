@@ -0,0 +1,38 @@
+import { z } from "zod";
+import { objectId, requiredString, pagination, paginationQuery } from "./common.validator.js";
+
+const tweetContentSchema = {
+    body: z.object({
+        content: requiredString("Tweet content", 1000)
+    })
+}
+
+const allTweetsSchema = {
+    query: paginationQuery
+}
+
+const userTweetsSchema = {
+    params: z.object({
+        userId: objectId("user ID")
+    }),
+    query: z.object(pagination)
+}
+
+const updateTweetSchema = {
+    params: z.object({
+        tweetId: objectId("tweet ID")
+    }),
+    body: tweetContentSchema.body
+}
+
+const tweetIdSchema = {
+    params: updateTweetSchema.params
+}
+
+export {
+    tweetContentSchema,
+    allTweetsSchema,
+    userTweetsSchema,
+    updateTweetSchema,
+    tweetIdSchema
+}
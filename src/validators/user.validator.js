@@ -0,0 +1,155 @@
+import { z } from "zod";
+import {
+    objectId,
+    requiredString,
+    email,
+    booleanish,
+    pagination
+} from "./common.validator.js";
+
+const registerUserSchema = {
+    body: z.object({
+        fullName: requiredString("Full name", 100),
+        email: email(),
+        username: requiredString("Username", 30)
+            .toLowerCase()
+            .regex(/^[a-z0-9_.]+$/, "Username may only contain letters, numbers, dots and underscores"),
+        password: requiredString("Password", 128)
+    })
+}
+
+const loginUserSchema = {
+    body: z.object({
+        email: z.string().trim().toLowerCase().optional(),
+        username: z.string().trim().toLowerCase().optional(),
+        password: z.string({ error: "Password is required" }).min(1, "Password is required")
+    }).refine((body) => body.email || body.username, {
+        message: "Username or email is required",
+        path: ["username"]
+    })
+}
+
+const refreshAccessTokenSchema = {
+    body: z.object({
+        refreshToken: z.string().optional()
+    })
+}
+
+const changePasswordSchema = {
+    body: z.object({
+        oldPassword: z.string({ error: "Old password is required" }).min(1, "Old password is required"),
+        newPassword: requiredString("New password", 128)
+    })
+}
+
+const sessionSchema = {
+    params: z.object({
+        sessionId: objectId("sessionId")
+    })
+}
+
+// an authenticator app code or a recovery code
+const twoFactorCode = () => requiredString("Code", 32)
+
+const twoFactorLoginSchema = {
+    body: z.object({
+        loginToken: requiredString("Login token", 128),
+        code: twoFactorCode()
+    })
+}
+
+const twoFactorCodeSchema = {
+    body: z.object({
+        code: twoFactorCode()
+    })
+}
+
+const disableTwoFactorSchema = {
+    body: z.object({
+        password: z.string({ error: "Password is required" }).min(1, "Password is required")
+    })
+}
+
+const verifyEmailSchema = {
+    body: z.object({
+        token: requiredString("Token", 128)
+    })
+}
+
+const forgotPasswordSchema = {
+    body: z.object({
+        email: email()
+    })
+}
+
+const resetPasswordSchema = {
+    body: z.object({
+        token: requiredString("Token", 128),
+        newPassword: requiredString("New password", 128)
+    })
+}
+
+const updateAccountDetailsSchema = {
+    body: z.object({
+        fullName: requiredString("Full name", 100).optional(),
+        email: email().optional()
+    }).refine((body) => body.fullName || body.email, {
+        message: "fullName or email is required"
+    })
+}
+
+const channelProfileSchema = {
+    params: z.object({
+        username: requiredString("Username", 30).toLowerCase()
+    })
+}
+
+const watchHistorySchema = {
+    query: z.object({
+        ...pagination,
+        inProgress: booleanish().optional()
+    })
+}
+
+const watchProgressSchema = {
+    params: z.object({
+        videoId: objectId("videoId")
+    }),
+    body: z.object({
+        position: z.coerce.number({ error: "A valid position in seconds is required" })
+            .min(0, "A valid position in seconds is required"),
+        completed: booleanish().default(false)
+    })
+}
+
+const watchHistoryEntrySchema = {
+    params: z.object({
+        videoId: objectId("videoId")
+    })
+}
+
+const pauseWatchHistorySchema = {
+    body: z.object({
+        paused: booleanish().optional()
+    })
+}
+
+export {
+    registerUserSchema,
+    loginUserSchema,
+    twoFactorLoginSchema,
+    twoFactorCodeSchema,
+    disableTwoFactorSchema,
+    refreshAccessTokenSchema,
+    changePasswordSchema,
+    sessionSchema,
+    verifyEmailSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    updateAccountDetailsSchema,
+    channelProfileSchema,
+    watchHistorySchema,
+    watchProgressSchema,
+    watchHistoryEntrySchema,
+    pauseWatchHistorySchema
+}
@@ -0,0 +1,137 @@
+import { z } from "zod";
+import {
+    objectId,
+    requiredString,
+    optionalString,
+    pagination,
+    sortType
+} from "./common.validator.js";
+import { VIDEO_MIME_TYPES } from "../middlewares/multer.middleware.js";
+import { VIDEO_SORT_OPTIONS } from "../utils/videoSearch.js";
+
+const KB = 1024
+const MB = 1024 * KB
+
+const durationSeconds = (label) =>
+    z.coerce.number({ error: `${label} must be a number` }).min(0, `${label} must not be negative`).optional()
+
+const uploadDate = (label) =>
+    z.coerce.date({ error: `${label} must be a valid date` }).optional()
+
+const videoSearchQuery = {
+    query: optionalString("query", 200),
+    sortBy: z.enum(VIDEO_SORT_OPTIONS, { error: `sortBy must be one of ${VIDEO_SORT_OPTIONS.join(", ")}` }).optional(),
+    sortType: sortType.default("desc"),
+    userId: objectId("userId").optional(),
+    minDuration: durationSeconds("minDuration"),
+    maxDuration: durationSeconds("maxDuration"),
+    uploadedAfter: uploadDate("uploadedAfter"),
+    uploadedBefore: uploadDate("uploadedBefore")
+}
+
+const getAllVideosSchema = {
+    query: z.object({
+        ...pagination,
+        ...videoSearchQuery
+    })
+        .refine(
+            ({ minDuration, maxDuration }) => minDuration === undefined || maxDuration === undefined || minDuration <= maxDuration,
+            { message: "minDuration must not exceed maxDuration", path: ["minDuration"] }
+        )
+        .refine(
+            ({ uploadedAfter, uploadedBefore }) => !uploadedAfter || !uploadedBefore || uploadedAfter <= uploadedBefore,
+            { message: "uploadedAfter must not be later than uploadedBefore", path: ["uploadedAfter"] }
+        )
+}
+
+const discoveryLimit = z.coerce.number().int().min(1, "limit must be at least 1").max(50, "limit must be at most 50").default(20)
+
+const trendingVideosSchema = {
+    query: z.object({
+        limit: discoveryLimit
+    })
+}
+
+const relatedVideosSchema = {
+    params: z.object({
+        videoId: objectId("videoId")
+    }),
+    query: z.object({
+        limit: discoveryLimit
+    })
+}
+
+const videoViewSchema = {
+    params: z.object({
+        videoId: objectId("videoId")
+    }),
+    body: z.object({
+        watchedSeconds: z.coerce.number({ error: "watchedSeconds is required" }).min(0, "watchedSeconds must not be negative")
+    })
+}
+
+const videoIdSchema = {
+    params: z.object({
+        videoId: objectId("videoId")
+    })
+}
+
+const publishVideoSchema = {
+    body: z.object({
+        title: requiredString("Title", 100),
+        description: requiredString("Description")
+    })
+}
+
+const updateVideoSchema = {
+    params: videoIdSchema.params,
+    body: z.object({
+        title: optionalString("Title", 100),
+        description: optionalString("Description")
+    })
+}
+
+const createUploadSessionSchema = {
+    body: z.object({
+        fileName: requiredString("fileName", 255),
+        fileSize: z.coerce.number({ error: "fileSize is required" }).int().min(1, "fileSize must be at least 1 byte"),
+        mimeType: z.enum(VIDEO_MIME_TYPES, { error: `mimeType must be one of ${VIDEO_MIME_TYPES.join(", ")}` }),
+        chunkSize: z.coerce.number().int()
+            .min(256 * KB, "chunkSize must be at least 256KB")
+            .max(10 * MB, "chunkSize must be at most 10MB")
+            .optional()
+    })
+}
+
+const uploadSessionIdSchema = {
+    params: z.object({
+        sessionId: objectId("sessionId")
+    })
+}
+
+const uploadChunkSchema = {
+    params: z.object({
+        sessionId: objectId("sessionId"),
+        index: z.coerce.number().int().min(0, "Chunk index must be 0 or greater")
+    })
+}
+
+const completeUploadSessionSchema = {
+    params: uploadSessionIdSchema.params,
+    body: publishVideoSchema.body
+}
+
+export {
+    videoSearchQuery,
+    getAllVideosSchema,
+    trendingVideosSchema,
+    relatedVideosSchema,
+    videoViewSchema,
+    videoIdSchema,
+    publishVideoSchema,
+    updateVideoSchema,
+    createUploadSessionSchema,
+    uploadSessionIdSchema,
+    uploadChunkSchema,
+    completeUploadSessionSchema
+}
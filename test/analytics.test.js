@@ -0,0 +1,99 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import {
+    DAY_MS,
+    MAX_ANALYTICS_RANGE_DAYS,
+    startOfDay,
+    startOfPeriod,
+    periodExpression,
+    fillSeries,
+    sumSeries
+} from "../src/utils/analytics.js"
+import { channelAnalyticsSchema } from "../src/validators/dashboard.validator.js"
+
+const utc = (value) => new Date(`${value}T00:00:00.000Z`)
+
+describe("startOfPeriod", () => {
+    // a Wednesday, late in the day so local time zones can't hide a UTC mistake
+    const date = new Date("2024-05-15T23:30:00.000Z")
+
+    it("truncates to midnight UTC", () => {
+        assert.deepEqual(startOfDay(date), utc("2024-05-15"))
+        assert.deepEqual(startOfPeriod(date, "day"), utc("2024-05-15"))
+    })
+
+    it("starts weeks on Monday", () => {
+        assert.deepEqual(startOfPeriod(date, "week"), utc("2024-05-13"))
+        assert.deepEqual(startOfPeriod(utc("2024-05-13"), "week"), utc("2024-05-13"))
+        assert.deepEqual(startOfPeriod(utc("2024-05-19"), "week"), utc("2024-05-13"))
+    })
+
+    it("starts months on the first", () => {
+        assert.deepEqual(startOfPeriod(date, "month"), utc("2024-05-01"))
+    })
+})
+
+describe("periodExpression", () => {
+    it("truncates the same way startOfPeriod does", () => {
+        assert.deepEqual(periodExpression("week"), {
+            $dateTrunc: { date: "$date", unit: "week", startOfWeek: "monday", timezone: "UTC" }
+        })
+        assert.equal(periodExpression("month", "$createdAt").$dateTrunc.date, "$createdAt")
+    })
+})
+
+describe("fillSeries", () => {
+    const fields = ["views", "likes"]
+
+    it("has one entry per day with zeros for quiet days", () => {
+        const rows = [{ period: utc("2024-01-02"), views: 5 }]
+        const series = fillSeries(rows, { from: utc("2024-01-01"), to: utc("2024-01-03"), granularity: "day", fields })
+
+        assert.deepEqual(series, [
+            { period: utc("2024-01-01"), views: 0, likes: 0 },
+            { period: utc("2024-01-02"), views: 5, likes: 0 },
+            { period: utc("2024-01-03"), views: 0, likes: 0 }
+        ])
+    })
+
+    it("starts at the period `from` falls in", () => {
+        const weeks = fillSeries([], { from: utc("2024-01-03"), to: utc("2024-01-15"), granularity: "week", fields })
+        assert.deepEqual(weeks.map((entry) => entry.period), [utc("2024-01-01"), utc("2024-01-08"), utc("2024-01-15")])
+
+        const months = fillSeries([], { from: utc("2024-01-31"), to: utc("2024-03-01"), granularity: "month", fields })
+        assert.deepEqual(months.map((entry) => entry.period), [utc("2024-01-01"), utc("2024-02-01"), utc("2024-03-01")])
+    })
+
+    it("stays bounded for the longest allowed range", () => {
+        const from = utc("2022-01-01")
+        const to = new Date(from.getTime() + MAX_ANALYTICS_RANGE_DAYS * DAY_MS)
+        assert.equal(fillSeries([], { from, to, granularity: "day", fields }).length, MAX_ANALYTICS_RANGE_DAYS + 1)
+    })
+
+    it("adds up to the totals", () => {
+        const rows = [{ period: utc("2024-01-01"), views: 2, likes: 1 }, { period: utc("2024-01-02"), views: 3 }]
+        const series = fillSeries(rows, { from: utc("2024-01-01"), to: utc("2024-01-02"), granularity: "day", fields })
+        assert.deepEqual(sumSeries(series, fields), { views: 5, likes: 1 })
+    })
+})
+
+describe("analytics query", () => {
+    const parse = (query) => channelAnalyticsSchema.query.safeParse(query)
+
+    it("applies defaults", () => {
+        const result = parse({})
+        assert.equal(result.success, true)
+        assert.deepEqual(result.data, { granularity: "day", top: 10 })
+    })
+
+    it("rejects ranges that run backwards or span too long", () => {
+        assert.equal(parse({ from: "2024-02-01", to: "2024-01-01" }).success, false)
+        assert.equal(parse({ from: "2020-01-01", to: "2024-01-01" }).success, false)
+        assert.equal(parse({ from: "2023-01-01", to: "2024-01-01" }).success, true)
+    })
+
+    it("rejects unknown granularities and bad dates", () => {
+        assert.equal(parse({ granularity: "year" }).success, false)
+        assert.equal(parse({ from: "not a date" }).success, false)
+    })
+})
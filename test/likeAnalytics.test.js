@@ -0,0 +1,114 @@
+import { describe, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { toggleVideoLike } from "../src/controllers/like.controller.js"
+import { Like } from "../src/models/like.model.js"
+import { Video } from "../src/models/video.model.js"
+import { User } from "../src/models/user.model.js"
+import { VideoDailyStats } from "../src/models/videoDailyStats.model.js"
+import { RealtimeEvent } from "../src/models/realtimeEvent.model.js"
+import { Counter } from "../src/models/counter.model.js"
+import { fillSeries } from "../src/utils/analytics.js"
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const FIRST_DAY = Date.UTC(2024, 0, 1, 12)
+
+const video = { _id: new mongoose.Types.ObjectId(), owner: new mongoose.Types.ObjectId() }
+const viewer = { _id: new mongoose.Types.ObjectId() }
+
+// resolves once the handler answered, rejects with whatever it passed to next
+const toggle = () => new Promise((resolve, reject) => {
+    const res = {
+        status() {
+            return this
+        },
+        json: resolve
+    }
+    toggleVideoLike({ params: { videoId: video._id.toString() }, user: viewer }, res, reject)
+})
+
+describe("toggleVideoLike analytics", () => {
+    let likes
+    let rollups
+
+    // stands in for the likes and the daily rollup collections, applying the filters and $inc the way MongoDB would
+    const mockCollections = (t) => {
+        t.mock.method(User, "findById", async () => viewer)
+        t.mock.method(User, "exists", async () => null) // the owner turned like notifications off
+        t.mock.method(Video, "findById", async () => video)
+        t.mock.method(Like, "findOne", async () => likes[0] || null)
+        t.mock.method(Like, "create", async (doc) => {
+            likes.push({ ...doc, _id: new mongoose.Types.ObjectId(), createdAt: new Date() })
+        })
+        t.mock.method(Like, "findByIdAndDelete", async (id) => {
+            likes = likes.filter((like) => !like._id.equals(id))
+        })
+        t.mock.method(Like, "countDocuments", async () => likes.length)
+        t.mock.method(VideoDailyStats, "updateOne", async (filter, update, { upsert } = {}) => {
+            const key = filter.date.getTime()
+            const row = rollups.get(key)
+            const matches = row && Object.entries(filter).every(([field, condition]) =>
+                condition?.$gte === undefined || row[field] >= condition.$gte
+            )
+            if (!matches) {
+                if (!upsert || row) return { modifiedCount: 0 }
+                rollups.set(key, { period: filter.date, likes: 0 })
+            }
+            for (const [field, amount] of Object.entries(update.$inc)) {
+                rollups.get(key)[field] = (rollups.get(key)[field] || 0) + amount
+            }
+            return { modifiedCount: 1 }
+        })
+        t.mock.method(Counter, "next", async () => 1)
+        t.mock.method(RealtimeEvent, "insertMany", async () => [])
+    }
+
+    const series = () => fillSeries([...rollups.values()], {
+        from: new Date(FIRST_DAY),
+        to: new Date(FIRST_DAY + 2 * DAY_MS),
+        granularity: "day",
+        fields: ["likes"]
+    }).map((entry) => entry.likes)
+
+    beforeEach(() => {
+        likes = []
+        rollups = new Map()
+    })
+
+    it("leaves the likes series as it was after liking and unliking over and over", async (t) => {
+        mockCollections(t)
+        t.mock.timers.enable({ apis: ["Date"], now: FIRST_DAY })
+
+        assert.deepEqual((await toggle()).data, { isLiked: true })
+        assert.deepEqual(series(), [1, 0, 0])
+
+        for (let i = 0; i < 5; i++) {
+            assert.deepEqual((await toggle()).data, { isLiked: false })
+            assert.deepEqual((await toggle()).data, { isLiked: true })
+        }
+        assert.deepEqual(series(), [1, 0, 0])
+
+        await toggle()
+        assert.deepEqual(series(), [0, 0, 0])
+    })
+
+    it("takes an unlike back from the day the like was given", async (t) => {
+        mockCollections(t)
+        t.mock.timers.enable({ apis: ["Date"], now: FIRST_DAY })
+        await toggle()
+
+        t.mock.timers.tick(2 * DAY_MS)
+        await toggle()
+        await toggle()
+        assert.deepEqual(series(), [0, 0, 1])
+    })
+
+    it("never takes a day below zero for likes from before the rollups", async (t) => {
+        mockCollections(t)
+        t.mock.timers.enable({ apis: ["Date"], now: FIRST_DAY })
+        likes.push({ _id: new mongoose.Types.ObjectId(), video: video._id, likedBy: viewer._id, createdAt: new Date(FIRST_DAY) })
+
+        assert.deepEqual((await toggle()).data, { isLiked: false })
+        assert.deepEqual(series(), [0, 0, 0])
+    })
+})
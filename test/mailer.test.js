@@ -0,0 +1,48 @@
+import { describe, it, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { sendMail, assertMailConfigured } from "../src/utils/mailer/index.js"
+
+const MAIL_ENV = ["NODE_ENV", "MAIL_DRIVER", "SMTP_HOST"]
+
+describe("mail driver selection", () => {
+    let saved
+
+    beforeEach(() => {
+        saved = Object.fromEntries(MAIL_ENV.map((name) => [name, process.env[name]]))
+        MAIL_ENV.forEach((name) => delete process.env[name])
+    })
+
+    afterEach(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) delete process.env[name]
+            else process.env[name] = value
+        }
+    })
+
+    it("falls back to the file driver outside production", () => {
+        assert.doesNotThrow(assertMailConfigured)
+    })
+
+    it("refuses the file driver in production, chosen or by default", () => {
+        process.env.NODE_ENV = "production"
+        assert.throws(assertMailConfigured, /can't be used in production/)
+        process.env.MAIL_DRIVER = "file"
+        process.env.SMTP_HOST = "smtp.example.com"
+        assert.throws(assertMailConfigured, /can't be used in production/)
+    })
+
+    it("accepts SMTP in production", () => {
+        process.env.NODE_ENV = "production"
+        process.env.SMTP_HOST = "smtp.example.com"
+        assert.doesNotThrow(assertMailConfigured)
+    })
+
+    it("never writes or prints a mail in production", async (t) => {
+        process.env.NODE_ENV = "production"
+        const logged = t.mock.method(console, "log", () => {})
+        t.mock.method(console, "error", () => {})
+
+        assert.equal(await sendMail({ to: "jane@example.com", subject: "Reset", text: "token", html: "token" }), null)
+        assert.equal(logged.mock.callCount(), 0)
+    })
+})
@@ -0,0 +1,69 @@
+import { describe, it, before, after } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs/promises"
+import os from "os"
+import path from "path"
+import { hasValidSignature, safeExtension } from "../src/middlewares/multer.middleware.js"
+
+const pad = (bytes, length = 16) => Buffer.concat([Buffer.from(bytes), Buffer.alloc(length)])
+
+const FILES = {
+    jpeg: pad([0xff, 0xd8, 0xff, 0xe0]),
+    png: pad([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    gif: pad(Buffer.from("GIF89a")),
+    webp: pad(Buffer.concat([Buffer.from("RIFF"), Buffer.alloc(4), Buffer.from("WEBPVP8 ")])),
+    mp4: pad(Buffer.concat([Buffer.from([0, 0, 0, 0x20]), Buffer.from("ftypisom")])),
+    webm: pad([0x1a, 0x45, 0xdf, 0xa3]),
+    avi: pad(Buffer.concat([Buffer.from("RIFF"), Buffer.alloc(4), Buffer.from("AVI LIST")])),
+    html: Buffer.from("<html><script>alert(1)</script></html>"),
+    shortPng: Buffer.from([0x89, 0x50, 0x4e]),
+    empty: Buffer.alloc(0)
+}
+
+describe("hasValidSignature", () => {
+    let dir
+    const fileOf = (name) => path.join(dir, name)
+
+    before(async () => {
+        dir = await fs.mkdtemp(path.join(os.tmpdir(), "upload-signatures-"))
+        await Promise.all(Object.entries(FILES).map(([name, bytes]) => fs.writeFile(fileOf(name), bytes)))
+    })
+
+    after(async () => {
+        await fs.rm(dir, { recursive: true, force: true })
+    })
+
+    for (const name of ["jpeg", "png", "gif", "webp"]) {
+        it(`accepts ${name} as an image only`, async () => {
+            assert.equal(await hasValidSignature(fileOf(name), "image"), true)
+            assert.equal(await hasValidSignature(fileOf(name), "video"), false)
+        })
+    }
+
+    for (const name of ["mp4", "webm", "avi"]) {
+        it(`accepts ${name} as a video only`, async () => {
+            assert.equal(await hasValidSignature(fileOf(name), "video"), true)
+            assert.equal(await hasValidSignature(fileOf(name), "image"), false)
+        })
+    }
+
+    it("rejects files whose content doesn't match, whatever they claim to be", async () => {
+        for (const name of ["html", "shortPng", "empty"]) {
+            assert.equal(await hasValidSignature(fileOf(name), "image"), false, name)
+            assert.equal(await hasValidSignature(fileOf(name), "video"), false, name)
+        }
+    })
+})
+
+describe("safeExtension", () => {
+    it("keeps short alphanumeric extensions, lowercased", () => {
+        assert.equal(safeExtension("clip.MP4"), ".mp4")
+        assert.equal(safeExtension("archive.tar.gz"), ".gz")
+    })
+
+    it("drops anything else", () => {
+        for (const name of ["noextension", "../../etc/passwd", "x.php%00", "x.averyverylongone", undefined]) {
+            assert.equal(safeExtension(name), "")
+        }
+    })
+})
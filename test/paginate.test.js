@@ -0,0 +1,106 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import mongoose from "mongoose"
+import { paginate, encodeCursor, decodeCursor } from "../src/utils/paginate.js"
+
+const isInvalidCursor = (error) => error.statusCode === 400 && error.message === "Invalid cursor"
+
+// stands in for a model, hands out rows and keeps the pipeline it was asked to run
+const fakeModel = (rows) => ({
+    pipeline: null,
+    async aggregate(pipeline) {
+        this.pipeline = pipeline
+        return rows
+    }
+})
+
+describe("encodeCursor / decodeCursor", () => {
+    it("round trips a plain object", () => {
+        const value = { field: "createdAt", date: "2024-01-01T00:00:00.000Z", id: "65a000000000000000000001" }
+        assert.deepEqual(decodeCursor(encodeCursor(value)), value)
+    })
+
+    it("is url safe", () => {
+        assert.match(encodeCursor({ field: "title", value: "???>>>", id: "x" }), /^[A-Za-z0-9_-]+$/)
+    })
+
+    it("rejects cursors that aren't json", () => {
+        assert.throws(() => decodeCursor("not a cursor"), isInvalidCursor)
+        assert.throws(() => decodeCursor(Buffer.from("{broken").toString("base64url")), isInvalidCursor)
+    })
+
+    it("rejects json that isn't a plain object", () => {
+        for (const value of [null, 42, "text", [1, 2], true]) {
+            assert.throws(() => decodeCursor(encodeCursor(value)), isInvalidCursor)
+        }
+    })
+
+    it("rejects objects the caller's check refuses", () => {
+        const cursor = encodeCursor({ offset: -1 })
+        assert.throws(() => decodeCursor(cursor, (decoded) => decoded.offset >= 0), isInvalidCursor)
+        assert.deepEqual(decodeCursor(cursor, () => true), { offset: -1 })
+    })
+})
+
+describe("paginate", () => {
+    const id = (n) => new mongoose.Types.ObjectId(n.toString(16).padStart(24, "0"))
+    const rows = [3, 2, 1].map((n) => ({ _id: id(n), createdAt: new Date(Date.UTC(2024, 0, n)) }))
+
+    it("returns a cursor after the last item when there are more", async () => {
+        const page = await paginate(fakeModel(rows), { limit: 2 })
+
+        assert.equal(page.hasMore, true)
+        assert.deepEqual(page.items, rows.slice(0, 2))
+        assert.deepEqual(decodeCursor(page.nextCursor), {
+            field: "createdAt",
+            date: "2024-01-02T00:00:00.000Z",
+            id: id(2).toString()
+        })
+    })
+
+    it("continues strictly after the cursor", async () => {
+        const { nextCursor } = await paginate(fakeModel(rows), { limit: 2 })
+        const model = fakeModel(rows.slice(2))
+        const page = await paginate(model, { cursor: nextCursor, limit: 2 })
+
+        assert.equal(page.hasMore, false)
+        assert.equal(page.nextCursor, null)
+        assert.deepEqual(model.pipeline[1], {
+            $match: {
+                $or: [
+                    { createdAt: { $lt: new Date(Date.UTC(2024, 0, 2)) } },
+                    { createdAt: new Date(Date.UTC(2024, 0, 2)), _id: { $lt: id(2) } }
+                ]
+            }
+        })
+    })
+
+    it("refuses a cursor made for another sort", async () => {
+        const { nextCursor } = await paginate(fakeModel(rows), { limit: 2 })
+        await assert.rejects(
+            paginate(fakeModel(rows), { cursor: nextCursor, sortField: "views" }),
+            (error) => error.statusCode === 400 && error.message === "Cursor does not match the requested sort"
+        )
+    })
+
+    it("refuses cursors of the wrong shape", async () => {
+        const cursors = [
+            { field: "createdAt", id: 7 },
+            { field: "createdAt", id: id(1).toString(), date: "yesterday-ish" },
+            { field: "createdAt", id: id(1).toString(), value: { $gt: "" } }
+        ]
+        for (const cursor of cursors) {
+            await assert.rejects(paginate(fakeModel(rows), { cursor: encodeCursor(cursor) }), isInvalidCursor)
+        }
+    })
+
+    it("counts pages in offset mode", async () => {
+        const model = fakeModel([{ items: rows.slice(0, 2), total: [{ count: 3 }] }])
+        const page = await paginate(model, { page: 1, limit: 2 })
+
+        assert.equal(page.totalItems, 3)
+        assert.equal(page.totalPages, 2)
+        assert.equal(page.hasMore, true)
+        assert.equal(page.nextCursor, null)
+    })
+})
@@ -0,0 +1,68 @@
+import { describe, it, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import { hitRateLimit } from "../src/utils/rateLimit/index.js"
+
+const MINUTE_MS = 60 * 1000
+const policy = { limit: 3, windowMs: MINUTE_MS }
+
+// every test counts under its own identity, the memory store is shared by the process
+let identities = 0
+const nextIdentity = () => `test-${++identities}`
+
+const at = (t, ms) => t.mock.method(Date, "now", () => ms)
+
+describe("hitRateLimit", () => {
+    afterEach(() => {
+        delete process.env.RATE_LIMIT_STORE
+    })
+
+    it("counts down and limits past the policy's limit", async (t) => {
+        at(t, 10 * MINUTE_MS)
+        const identity = nextIdentity()
+
+        const results = []
+        for (let i = 0; i < 4; i++) results.push(await hitRateLimit("test", policy, identity))
+
+        assert.deepEqual(results.map((result) => result.remaining), [2, 1, 0, 0])
+        assert.deepEqual(results.map((result) => result.isLimited), [false, false, false, true])
+        assert.equal(results[0].limit, 3)
+    })
+
+    it("resets at the end of the fixed window", async (t) => {
+        const identity = nextIdentity()
+        at(t, 20 * MINUTE_MS + 59 * 1000)
+        for (let i = 0; i < 4; i++) await hitRateLimit("test", policy, identity)
+        const limited = await hitRateLimit("test", policy, identity)
+        assert.equal(limited.isLimited, true)
+        assert.deepEqual(limited.resetAt, new Date(21 * MINUTE_MS))
+
+        at(t, 21 * MINUTE_MS)
+        const fresh = await hitRateLimit("test", policy, identity)
+        assert.equal(fresh.isLimited, false)
+        assert.equal(fresh.remaining, 2)
+        assert.deepEqual(fresh.resetAt, new Date(22 * MINUTE_MS))
+    })
+
+    it("counts policies and identities separately", async (t) => {
+        at(t, 30 * MINUTE_MS)
+        const identity = nextIdentity()
+        for (let i = 0; i < 3; i++) await hitRateLimit("test", policy, identity)
+
+        assert.equal((await hitRateLimit("other", policy, identity)).remaining, 2)
+        assert.equal((await hitRateLimit("test", policy, nextIdentity())).remaining, 2)
+    })
+
+    it("keeps counting in memory when the shared store is down", async (t) => {
+        // the mongo store refuses to work without a connection, as during an outage
+        process.env.RATE_LIMIT_STORE = "mongo"
+        const logged = t.mock.method(console, "error", () => {})
+        at(t, 40 * MINUTE_MS)
+        const identity = nextIdentity()
+
+        const results = []
+        for (let i = 0; i < 4; i++) results.push(await hitRateLimit("test", policy, identity))
+
+        assert.deepEqual(results.map((result) => result.isLimited), [false, false, false, true])
+        assert.equal(logged.mock.callCount(), 1)
+    })
+})
@@ -0,0 +1,101 @@
+import { describe, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import jwt from "jsonwebtoken"
+import mongoose from "mongoose"
+import { startSession, rotateSession, hashToken } from "../src/utils/sessions.js"
+import { Session } from "../src/models/session.model.js"
+import { User } from "../src/models/user.model.js"
+
+process.env.ACCESS_TOKEN_SECRET ||= "access-secret"
+process.env.REFRESH_TOKEN_SECRET ||= "refresh-secret"
+process.env.ACCESS_TOKEN_EXPIRY ||= "15m"
+process.env.REFRESH_TOKEN_EXPIRY ||= "10d"
+
+const req = { ip: "203.0.113.7", get: () => "test-agent" }
+const user = new User({ username: "jane", email: "jane@example.com", fullName: "Jane", password: "x", avatar: "a" })
+
+// the fields of filter that have to match, $gte and null included, the way MongoDB would
+const matches = (doc, filter) => Object.entries(filter).every(([field, condition]) => {
+    const value = doc[field] ?? null
+    if (condition instanceof Date) return value?.getTime() === condition.getTime()
+    if (condition?.$gte) return value !== null && value >= condition.$gte
+    return String(value) === String(condition ?? null)
+})
+
+describe("rotateSession", () => {
+    let stored
+
+    // stands in for the sessions collection holding the one session of these tests
+    const mockSessions = (t) => {
+        t.mock.method(Session.prototype, "save", async function () {
+            stored = this.toObject()
+        })
+        t.mock.method(Session, "findOneAndUpdate", async (filter, update) => {
+            if (!stored || !matches(stored, filter)) return null
+            Object.assign(stored, update.$set)
+            return stored
+        })
+        t.mock.method(Session, "findOne", async (filter) => stored && matches(stored, filter) ? stored : null)
+        t.mock.method(Session, "updateOne", async (filter, update) => {
+            if (!stored || !matches(stored, filter)) return { modifiedCount: 0 }
+            Object.assign(stored, update.$set)
+            return { modifiedCount: 1 }
+        })
+        t.mock.method(console, "warn", () => {})
+    }
+
+    const refresh = (token) => rotateSession(user, jwt.decode(token), token, req)
+
+    beforeEach(() => {
+        stored = null
+    })
+
+    it("swaps the current token for a new pair", async (t) => {
+        mockSessions(t)
+        const { refreshToken } = await startSession(user, req)
+
+        const rotated = await refresh(refreshToken)
+        assert.notEqual(rotated.refreshToken, refreshToken)
+        assert.equal(stored.tokenHash, hashToken(rotated.refreshToken))
+        assert.equal(stored.revokedAt, null)
+    })
+
+    it("gives a concurrent refresh with the same token the current pair", async (t) => {
+        mockSessions(t)
+        const { refreshToken } = await startSession(user, req)
+
+        const first = await refresh(refreshToken)
+        const second = await refresh(refreshToken)
+
+        assert.equal(second.refreshToken, first.refreshToken)
+        assert.equal(jwt.decode(second.accessToken).sid, stored._id.toString())
+        assert.equal(stored.revokedAt, null)
+        // and the pair handed out twice keeps working
+        assert.ok(await refresh(first.refreshToken))
+    })
+
+    it("revokes the session for the replaced token once the grace window is over", async (t) => {
+        mockSessions(t)
+        const { refreshToken } = await startSession(user, req)
+        await refresh(refreshToken)
+        stored.rotatedAt = new Date(Date.now() - 60 * 1000)
+
+        await assert.rejects(refresh(refreshToken), { statusCode: 401 })
+        assert.equal(stored.revokedReason, "reuse")
+    })
+
+    it("revokes the session for tokens older than the one just replaced", async (t) => {
+        mockSessions(t)
+        const { refreshToken: oldest } = await startSession(user, req)
+        const { refreshToken: previous } = await refresh(oldest)
+        await refresh(previous)
+
+        await assert.rejects(refresh(oldest), { statusCode: 401 })
+        assert.equal(stored.revokedReason, "reuse")
+    })
+
+    it("refuses tokens from before sessions existed", async () => {
+        const legacy = jwt.sign({ _id: new mongoose.Types.ObjectId() }, process.env.REFRESH_TOKEN_SECRET)
+        await assert.rejects(refresh(legacy), { statusCode: 401 })
+    })
+})
@@ -0,0 +1,58 @@
+import { describe, it, beforeEach, afterEach } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs"
+import os from "os"
+import path from "path"
+import { v2 as cloudinary } from "cloudinary"
+import { uploadFile, deleteFile } from "../src/utils/storage/index.js"
+
+describe("uploadFile resource type", () => {
+    let tempDir
+    let savedDriver
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "storage-test-"))
+        savedDriver = process.env.STORAGE_DRIVER
+    })
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true })
+        if (savedDriver === undefined) delete process.env.STORAGE_DRIVER
+        else process.env.STORAGE_DRIVER = savedDriver
+    })
+
+    // the extension is whatever the client named the file, the mime type was checked against the content
+    const tempFile = (name) => {
+        const filePath = path.join(tempDir, name)
+        fs.writeFileSync(filePath, "data")
+        return filePath
+    }
+
+    it("takes the local resource type from the mime type, not the extension", async () => {
+        process.env.STORAGE_DRIVER = "local"
+
+        const image = await uploadFile(tempFile("frame.mp4"), { mimeType: "image/png" })
+        const video = await uploadFile(tempFile("clip.png"), { mimeType: "video/webm" })
+        try {
+            assert.equal(image.asset.resourceType, "image")
+            assert.equal(video.asset.resourceType, "video")
+        } finally {
+            await deleteFile(image.asset)
+            await deleteFile(video.asset)
+        }
+    })
+
+    it("asks cloudinary for the same resource type", async (t) => {
+        process.env.STORAGE_DRIVER = "cloudinary"
+        const upload = t.mock.method(cloudinary.uploader, "upload", async (filePath, options) => ({
+            secure_url: "https://res.cloudinary.com/demo/image/upload/v1/frame.png",
+            public_id: "frame",
+            resource_type: options.resource_type
+        }))
+
+        const image = await uploadFile(tempFile("frame.mp4"), { mimeType: "image/png" })
+
+        assert.equal(upload.mock.calls[0].arguments[1].resource_type, "image")
+        assert.equal(image.asset.resourceType, "image")
+    })
+})
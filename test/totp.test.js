@@ -0,0 +1,153 @@
+import { describe, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { generateTotpSecret, verifyTotp, totpProvisioningUri } from "../src/utils/totp.js"
+import { generateRecoveryCodes, verifyTwoFactorCode } from "../src/utils/twoFactor.js"
+import { hashToken } from "../src/utils/sessions.js"
+import { User } from "../src/models/user.model.js"
+import { AccountToken } from "../src/models/accountToken.model.js"
+import { verifyTwoFactorLogin } from "../src/controllers/user.controller.js"
+
+// RFC 6238 appendix B: the ASCII secret "12345678901234567890", at T=59 the code is 94287082
+// and at T=1111111109 (step 37037036) it is 07081804, apps show the last six digits
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ"
+const RFC_CODE = "287082"
+const RFC_LATER_T = 1111111109
+const RFC_LATER_CODE = "081804"
+
+const atSeconds = (t, seconds) => t.mock.method(Date, "now", () => seconds * 1000)
+
+describe("verifyTotp", () => {
+    it("accepts the RFC 6238 test vector and returns its time step", (t) => {
+        atSeconds(t, 59)
+        assert.equal(verifyTotp(RFC_SECRET, RFC_CODE), 1)
+    })
+
+    it("allows one step of clock drift either way", (t) => {
+        atSeconds(t, RFC_LATER_T)
+        assert.equal(verifyTotp(RFC_SECRET, RFC_LATER_CODE), 37037036)
+        atSeconds(t, RFC_LATER_T + 30)
+        assert.equal(verifyTotp(RFC_SECRET, RFC_LATER_CODE), 37037036)
+        atSeconds(t, RFC_LATER_T - 30)
+        assert.equal(verifyTotp(RFC_SECRET, RFC_LATER_CODE), 37037036)
+    })
+
+    it("rejects codes outside the window", (t) => {
+        atSeconds(t, 95) // step 3
+        assert.equal(verifyTotp(RFC_SECRET, RFC_CODE), null)
+        assert.equal(verifyTotp(RFC_SECRET, RFC_CODE, { window: 2 }), 1)
+    })
+
+    it("rejects anything but six digits", (t) => {
+        atSeconds(t, 59)
+        for (const code of ["", "28708", "2870822", "28708a", " 287082"]) {
+            assert.equal(verifyTotp(RFC_SECRET, code), null)
+        }
+    })
+
+    it("generates 160 bit base32 secrets", () => {
+        const secret = generateTotpSecret()
+        assert.match(secret, /^[A-Z2-7]{32}$/)
+        assert.notEqual(secret, generateTotpSecret())
+        assert.doesNotThrow(() => verifyTotp(secret, "000000"))
+    })
+
+    it("builds an otpauth uri authenticator apps understand", () => {
+        const uri = new URL(totpProvisioningUri({ secret: RFC_SECRET, accountName: "jane@example.com", issuer: "VideoTube" }))
+        assert.equal(uri.protocol, "otpauth:")
+        assert.equal(uri.host, "totp")
+        assert.equal(decodeURIComponent(uri.pathname), "/VideoTube:jane@example.com")
+        assert.equal(uri.searchParams.get("secret"), RFC_SECRET)
+        assert.equal(uri.searchParams.get("issuer"), "VideoTube")
+        assert.equal(uri.searchParams.get("digits"), "6")
+        assert.equal(uri.searchParams.get("period"), "30")
+    })
+})
+
+describe("verifyTwoFactorCode", () => {
+    let stored
+
+    // applies the conditional updates verifyTwoFactorCode sends the way MongoDB would
+    const mockUsers = (t) => {
+        t.mock.method(User, "findById", () => ({ select: async () => ({ ...stored }) }))
+        t.mock.method(User, "updateOne", async (filter, update) => {
+            if (filter.$or) {
+                const lastStep = stored.twoFactorLastUsedStep
+                const isNewer = lastStep === null || lastStep < update.$set.twoFactorLastUsedStep
+                if (!isNewer) return { modifiedCount: 0 }
+                stored.twoFactorLastUsedStep = update.$set.twoFactorLastUsedStep
+                return { modifiedCount: 1 }
+            }
+            const hash = filter.twoFactorRecoveryCodes
+            if (!stored.twoFactorRecoveryCodes.includes(hash)) return { modifiedCount: 0 }
+            stored.twoFactorRecoveryCodes = stored.twoFactorRecoveryCodes.filter((code) => code !== hash)
+            return { modifiedCount: 1 }
+        })
+    }
+
+    beforeEach(() => {
+        stored = {
+            _id: "user",
+            isTwoFactorEnabled: true,
+            twoFactorSecret: RFC_SECRET,
+            twoFactorLastUsedStep: null,
+            twoFactorRecoveryCodes: []
+        }
+    })
+
+    it("accepts an app code once", async (t) => {
+        mockUsers(t)
+        atSeconds(t, 59)
+        assert.equal(await verifyTwoFactorCode("user", RFC_CODE), "totp")
+        assert.equal(stored.twoFactorLastUsedStep, 1)
+        assert.equal(await verifyTwoFactorCode("user", RFC_CODE), null)
+    })
+
+    it("refuses a code from a step before the last one used", async (t) => {
+        mockUsers(t)
+        stored.twoFactorLastUsedStep = 2
+        atSeconds(t, 70)
+        assert.equal(await verifyTwoFactorCode("user", RFC_CODE), null)
+    })
+
+    it("uses up recovery codes, whatever their case and spacing", async (t) => {
+        mockUsers(t)
+        const { codes, hashes } = generateRecoveryCodes()
+        stored.twoFactorRecoveryCodes = hashes
+
+        assert.equal(codes.length, 10)
+        assert.equal(new Set(codes).size, 10)
+        assert.match(codes[0], /^[0-9a-f]{5}-[0-9a-f]{5}$/)
+        assert.deepEqual(hashes, codes.map((code) => hashToken(code)))
+
+        assert.equal(await verifyTwoFactorCode("user", ` ${codes[0].toUpperCase()} `), "recovery")
+        assert.equal(stored.twoFactorRecoveryCodes.length, 9)
+        assert.equal(await verifyTwoFactorCode("user", codes[0]), null)
+    })
+
+    it("fails when two-factor login is off", async (t) => {
+        mockUsers(t)
+        stored.isTwoFactorEnabled = false
+        atSeconds(t, 59)
+        assert.equal(await verifyTwoFactorCode("user", RFC_CODE), null)
+    })
+})
+
+describe("verifyTwoFactorLogin", () => {
+    // resolves with the error the handler passed on
+    const login = (body) => new Promise((resolve) => {
+        verifyTwoFactorLogin({ body, ip: "203.0.113.7" }, {}, resolve)
+    })
+
+    it("doesn't spend a recovery code on a login token that's expired or used", async (t) => {
+        t.mock.method(AccountToken, "findOneAndDelete", async () => null)
+        const findUser = t.mock.method(User, "findById", async () => null)
+        const updateUser = t.mock.method(User, "updateOne", async () => ({ modifiedCount: 1 }))
+
+        const error = await login({ loginToken: "used", code: "abcde-12345" })
+
+        assert.equal(error.statusCode, 401)
+        assert.equal(error.message, "Login has expired, log in again")
+        assert.equal(findUser.mock.callCount(), 0)
+        assert.equal(updateUser.mock.callCount(), 0)
+    })
+})
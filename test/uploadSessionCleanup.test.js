@@ -0,0 +1,35 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import fs from "fs"
+import mongoose from "mongoose"
+import { sweepExpiredUploadSessions } from "../src/jobs/uploadSessionCleanup.job.js"
+import { UploadSession } from "../src/models/uploadSession.model.js"
+import { writeChunk, removeChunks } from "../src/utils/chunkStore.js"
+import { TEMP_DIR } from "../src/middlewares/multer.middleware.js"
+
+const chunkExists = (sessionId) => fs.existsSync(`${TEMP_DIR}/chunks/${sessionId}/0.part`)
+
+describe("sweepExpiredUploadSessions", () => {
+    it("removes expired sessions with their chunks, but not one locked for finalizing meanwhile", async (t) => {
+        const expired = { _id: new mongoose.Types.ObjectId(), expiresAt: new Date(Date.now() - 1000) }
+        // found expired, then finalizing started and pushed its expiry out before the sweep got to it
+        const finalizing = { _id: new mongoose.Types.ObjectId(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }
+        const sessions = [expired, finalizing]
+
+        t.mock.method(UploadSession, "find", () => ({ select: async () => sessions.map(({ _id }) => ({ _id })) }))
+        t.mock.method(UploadSession, "deleteOne", async (filter) => {
+            const session = sessions.find(({ _id }) => _id.equals(filter._id))
+            const isExpired = session.expiresAt <= filter.expiresAt.$lte
+            return { deletedCount: isExpired ? 1 : 0 }
+        })
+
+        try {
+            await Promise.all(sessions.map(({ _id }) => writeChunk(_id, 0, Buffer.from("chunk"))))
+            assert.equal(await sweepExpiredUploadSessions(), 1)
+            assert.equal(chunkExists(expired._id), false)
+            assert.equal(chunkExists(finalizing._id), true)
+        } finally {
+            await Promise.all(sessions.map(({ _id }) => removeChunks(_id)))
+        }
+    })
+})
@@ -0,0 +1,125 @@
+import { describe, it } from "node:test"
+import assert from "node:assert/strict"
+import { validate } from "../src/middlewares/validate.middleware.js"
+import { booleanish, objectId, paginationQuery } from "../src/validators/common.validator.js"
+import {
+    registerUserSchema,
+    loginUserSchema,
+    updateAccountDetailsSchema,
+    watchProgressSchema
+} from "../src/validators/user.validator.js"
+import { getAllVideosSchema } from "../src/validators/video.validator.js"
+import { eventStreamSchema } from "../src/validators/realtime.validator.js"
+
+const VIDEO_ID = "65a0000000000000000000aa"
+
+// runs the middleware on a bare request, resolves to the request and the error passed on, if any
+const run = (schema, request) => {
+    const req = { params: {}, query: {}, body: {}, ...request }
+    let error
+    validate(schema)(req, {}, (err) => {
+        error = err
+    })
+    return { req, error }
+}
+
+describe("validate middleware", () => {
+    it("replaces input with the parsed values and strips unknown fields", () => {
+        const { req, error } = run(registerUserSchema, {
+            body: {
+                fullName: "  Jane Doe ",
+                email: " Jane@Example.COM",
+                username: "Jane_Doe",
+                password: "secret",
+                role: "admin"
+            }
+        })
+
+        assert.equal(error, undefined)
+        assert.deepEqual(req.body, {
+            fullName: "Jane Doe",
+            email: "jane@example.com",
+            username: "jane_doe",
+            password: "secret"
+        })
+    })
+
+    it("fails with a 400 listing every field, prefixed by where it came from", () => {
+        const { error } = run(watchProgressSchema, {
+            params: { videoId: "nope" },
+            body: { position: -1 }
+        })
+
+        assert.equal(error.statusCode, 400)
+        assert.equal(error.message, "Invalid videoId")
+        assert.deepEqual(error.errors.map((issue) => issue.field), ["params.videoId", "body.position"])
+    })
+
+    it("redefines req.query, a getter in Express 5", () => {
+        const req = { params: {}, body: {} }
+        Object.defineProperty(req, "query", { get: () => ({ limit: "5" }), configurable: true })
+        validate({ query: paginationQuery })(req, {}, () => {})
+        assert.deepEqual(req.query, { limit: 5 })
+    })
+})
+
+describe("schemas", () => {
+    const parses = (schema, value) => schema.safeParse(value).success
+
+    it("checks object ids", () => {
+        assert.equal(parses(objectId("videoId"), VIDEO_ID), true)
+        assert.equal(parses(objectId("videoId"), "65a0"), false)
+        assert.equal(parses(objectId("videoId"), undefined), false)
+    })
+
+    it("reads booleans from JSON and from query strings", () => {
+        assert.equal(booleanish().parse(true), true)
+        assert.equal(booleanish().parse("false"), false)
+        assert.equal(parses(booleanish(), "yes"), false)
+    })
+
+    it("bounds paging", () => {
+        assert.deepEqual(paginationQuery.parse({}), { limit: 10 })
+        assert.equal(parses(paginationQuery, { limit: "101" }), false)
+        assert.equal(parses(paginationQuery, { page: "0" }), false)
+        assert.equal(parses(paginationQuery, { cursor: " " }), false)
+    })
+
+    it("rejects usernames with anything but letters, numbers, dots and underscores", () => {
+        const body = { fullName: "Jane", email: "jane@example.com", password: "secret" }
+        assert.equal(parses(registerUserSchema.body, { ...body, username: "jane.doe_1" }), true)
+        assert.equal(parses(registerUserSchema.body, { ...body, username: "jane doe" }), false)
+        assert.equal(parses(registerUserSchema.body, { ...body, username: "jane", email: "not-an-email" }), false)
+    })
+
+    it("needs a username or email to log in", () => {
+        assert.equal(parses(loginUserSchema.body, { email: "jane@example.com", password: "x" }), true)
+        assert.equal(parses(loginUserSchema.body, { password: "x" }), false)
+        assert.equal(parses(loginUserSchema.body, { username: "jane", password: "" }), false)
+    })
+
+    it("needs something to update on the account", () => {
+        assert.equal(parses(updateAccountDetailsSchema.body, {}), false)
+        assert.equal(parses(updateAccountDetailsSchema.body, { fullName: "Jane" }), true)
+    })
+
+    it("checks video search ranges", () => {
+        const query = getAllVideosSchema.query
+        assert.equal(parses(query, { minDuration: "60", maxDuration: "30" }), false)
+        assert.equal(parses(query, { uploadedAfter: "2024-02-01", uploadedBefore: "2024-01-01" }), false)
+        assert.equal(parses(query, { sortBy: "random" }), false)
+
+        const parsed = query.parse({ query: " cats ", userId: VIDEO_ID, minDuration: "10" })
+        assert.equal(parsed.query, "cats")
+        assert.equal(parsed.minDuration, 10)
+        assert.equal(parsed.sortType, "desc")
+    })
+
+    it("splits and checks realtime topics", () => {
+        const query = eventStreamSchema.query
+        assert.deepEqual(query.parse({ topics: `notifications,video:${VIDEO_ID}` }).topics, ["notifications", `video:${VIDEO_ID}`])
+        assert.deepEqual(query.parse({}).topics, [])
+        assert.equal(parses(query, { topics: "user:someone" }), false)
+        assert.equal(parses(query, { lastEventId: "-1" }), false)
+    })
+})
@@ -0,0 +1,159 @@
+import { describe, it, beforeEach } from "node:test"
+import assert from "node:assert/strict"
+import { identifyViewer } from "../src/middlewares/viewer.middleware.js"
+import { recordVideoView } from "../src/utils/viewCounter.js"
+import { Video } from "../src/models/video.model.js"
+import { ViewDedupe } from "../src/models/viewDedupe.model.js"
+import { VideoDailyStats } from "../src/models/videoDailyStats.model.js"
+import { RealtimeEvent } from "../src/models/realtimeEvent.model.js"
+import { Counter } from "../src/models/counter.model.js"
+
+const ANONYMOUS_ID = "0b6f2a8e-3c1d-4e5f-9a7b-1c2d3e4f5a6b"
+const NOW = Date.UTC(2024, 0, 1, 12)
+
+// runs identifyViewer with the signed cookies the client sent, collects the cookies it sets
+const identify = ({ cookies = {}, secret = "secret", user } = {}) => {
+    const req = { ip: "203.0.113.7", secret, signedCookies: cookies, user }
+    const res = {
+        cookies: {},
+        cookie(name, value) {
+            this.cookies[name] = value
+        }
+    }
+    identifyViewer(req, res, () => {})
+    return { viewer: req.viewer, cookies: res.cookies }
+}
+
+describe("identifyViewer", () => {
+    it("issues a timestamped anonymous id, without vouching for it yet", (t) => {
+        t.mock.method(Date, "now", () => NOW)
+        const { viewer, cookies } = identify()
+
+        assert.match(cookies.viewerId, new RegExp(`^${viewer.anonymousId}\\.${NOW}$`))
+        assert.equal(viewer.anonymousIssuedAt, undefined)
+        assert.equal(viewer.sessionId, cookies.viewSessionId)
+    })
+
+    it("takes the id and its age from a returning cookie", (t) => {
+        t.mock.method(Date, "now", () => NOW)
+        const { viewer, cookies } = identify({
+            cookies: { viewerId: `${ANONYMOUS_ID}.${NOW - 60000}`, viewSessionId: "session" }
+        })
+
+        assert.deepEqual(cookies, {})
+        assert.equal(viewer.anonymousId, ANONYMOUS_ID)
+        assert.equal(viewer.anonymousIssuedAt, NOW - 60000)
+        assert.equal(viewer.sessionId, "session")
+    })
+
+    it("replaces cookies that are malformed or issued in the future", (t) => {
+        t.mock.method(Date, "now", () => NOW)
+        for (const value of [ANONYMOUS_ID, `${ANONYMOUS_ID}.${NOW + 1}`, false]) {
+            const { viewer, cookies } = identify({ cookies: { viewerId: value } })
+            assert.notEqual(viewer.anonymousId, ANONYMOUS_ID)
+            assert.equal(viewer.anonymousIssuedAt, undefined)
+            assert.ok(cookies.viewerId)
+        }
+    })
+
+    it("only identifies logged in users without a cookie secret", () => {
+        const { viewer, cookies } = identify({ secret: "", user: { _id: "user" } })
+        assert.deepEqual(viewer, { userId: "user", ip: "203.0.113.7" })
+        assert.deepEqual(cookies, {})
+    })
+})
+
+describe("recordVideoView", () => {
+    const video = { _id: "video", owner: "owner", duration: 120 }
+    let claims
+
+    // an in-memory stand-in for the view claims and counters
+    const mockStorage = (t) => {
+        t.mock.method(ViewDedupe, "create", async ({ key }) => {
+            if (claims.has(key)) throw Object.assign(new Error("duplicate key"), { code: 11000 })
+            claims.add(key)
+        })
+        t.mock.method(ViewDedupe, "findOneAndUpdate", async () => null)
+        t.mock.method(ViewDedupe, "deleteMany", async ({ key }) => {
+            key.$in.forEach((released) => claims.delete(released))
+        })
+        t.mock.method(Video, "findOneAndUpdate", () => ({ lean: async () => ({ views: claims.size }) }))
+        t.mock.method(VideoDailyStats, "increment", async () => {})
+        t.mock.method(Counter, "next", async () => 1)
+        t.mock.method(RealtimeEvent, "insertMany", async () => [])
+    }
+
+    const anonymous = (overrides) => ({
+        ip: "203.0.113.7",
+        anonymousId: ANONYMOUS_ID,
+        anonymousIssuedAt: NOW - 60000,
+        sessionId: "session",
+        ...overrides
+    })
+
+    beforeEach(() => {
+        claims = new Set()
+    })
+
+    it("needs the required watch time", async (t) => {
+        mockStorage(t)
+        assert.deepEqual(await recordVideoView(video, { userId: "user" }, 5), { counted: false, reason: "watch_time" })
+    })
+
+    it("doesn't count owners", async (t) => {
+        mockStorage(t)
+        assert.deepEqual(await recordVideoView(video, { userId: "owner" }, 60), { counted: false, reason: "owner" })
+    })
+
+    it("only counts anonymous viewers whose cookie is older than the watch time", async (t) => {
+        mockStorage(t)
+        t.mock.method(Date, "now", () => NOW)
+
+        const fresh = anonymous({ anonymousIssuedAt: undefined })
+        assert.equal((await recordVideoView(video, fresh, 60)).reason, "unidentified")
+        const young = anonymous({ anonymousIssuedAt: NOW - 10000 })
+        assert.equal((await recordVideoView(video, young, 60)).reason, "unidentified")
+        assert.equal((await recordVideoView(video, anonymous(), 60)).counted, true)
+    })
+
+    it("counts one anonymous view per ip, whatever the cookies", async (t) => {
+        mockStorage(t)
+        t.mock.method(Date, "now", () => NOW)
+
+        assert.equal((await recordVideoView(video, anonymous(), 60)).counted, true)
+        const otherCookies = anonymous({ anonymousId: "another", sessionId: "another" })
+        assert.deepEqual(await recordVideoView(video, otherCookies, 60), { counted: false, reason: "duplicate" })
+    })
+
+    it("doesn't use up the ip for a viewer already counted elsewhere", async (t) => {
+        mockStorage(t)
+        t.mock.method(Date, "now", () => NOW)
+
+        // counted on the mobile network, then again from home
+        assert.equal((await recordVideoView(video, anonymous({ ip: "198.51.100.1" }), 60)).counted, true)
+        assert.equal((await recordVideoView(video, anonymous(), 60)).reason, "duplicate")
+
+        // someone else at home still counts
+        const housemate = anonymous({ anonymousId: "housemate", sessionId: "housemate" })
+        assert.equal((await recordVideoView(video, housemate, 60)).counted, true)
+    })
+
+    it("gives back the viewer's claims when the ip already counted", async (t) => {
+        mockStorage(t)
+        t.mock.method(Date, "now", () => NOW)
+
+        assert.equal((await recordVideoView(video, anonymous(), 60)).counted, true)
+        const housemate = anonymous({ anonymousId: "housemate", sessionId: "housemate" })
+        assert.equal((await recordVideoView(video, housemate, 60)).reason, "duplicate")
+        assert.equal(claims.has("anon:housemate"), false)
+        assert.equal(claims.has("session:housemate"), false)
+    })
+
+    it("counts logged in viewers once per window", async (t) => {
+        mockStorage(t)
+
+        assert.equal((await recordVideoView(video, { userId: "user", ip: "203.0.113.7" }, 60)).counted, true)
+        assert.equal((await recordVideoView(video, { userId: "user", ip: "198.51.100.1" }, 60)).reason, "duplicate")
+        assert.equal((await recordVideoView(video, { userId: "other", ip: "203.0.113.7" }, 60)).counted, true)
+    })
+})